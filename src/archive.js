@@ -0,0 +1,153 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Minimal readers for the archives `claude-spend import` accepts: tar,
+// gzipped tar and zip. Each calls onFile(name, data) for every regular file;
+// directories, links and other entry types are skipped.
+
+const BLOCK = 512;
+
+function readString(buf, start, length) {
+  const end = buf.indexOf(0, start);
+  return buf.toString('utf-8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function readOctal(buf, start, length) {
+  // GNU tar writes sizes over 8GB as base-256 with the high bit set
+  if (buf[start] & 0x80) {
+    let value = 0;
+    for (let i = start + 1; i < start + length; i++) value = value * 256 + buf[i];
+    return value;
+  }
+  return parseInt(readString(buf, start, length).trim() || '0', 8);
+}
+
+// Pax extended headers are "<length> <key>=<value>\n" records
+function readPaxPath(data) {
+  const match = data.toString('utf-8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+  return match ? match[1] : null;
+}
+
+async function readTar(input, onFile) {
+  let buffered = Buffer.alloc(0);
+  let entry = null;
+  let nextName = null;
+  let ended = false;
+
+  const finishEntry = () => {
+    const data = Buffer.concat(entry.chunks);
+    if (entry.type === 'L') nextName = readString(data, 0, data.length);
+    else if (entry.type === 'x') nextName = readPaxPath(data) || nextName;
+    else if (entry.type === '0' || entry.type === '\0' || entry.type === '') {
+      onFile(entry.name, data);
+      nextName = null;
+    } else {
+      nextName = null;
+    }
+  };
+
+  for await (const chunk of input) {
+    if (ended) continue;
+    buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+    while (!ended) {
+      if (entry) {
+        const take = Math.min(entry.remaining, buffered.length);
+        if (take > 0) entry.chunks.push(buffered.subarray(0, take));
+        entry.remaining -= take;
+        buffered = buffered.subarray(take);
+        if (entry.remaining > 0 || buffered.length < entry.padding) break;
+        buffered = buffered.subarray(entry.padding);
+        finishEntry();
+        entry = null;
+        continue;
+      }
+      if (buffered.length < BLOCK) break;
+      const header = buffered.subarray(0, BLOCK);
+      buffered = buffered.subarray(BLOCK);
+      // Two zero blocks end the archive
+      if (header.every(b => b === 0)) {
+        ended = true;
+        break;
+      }
+      const prefix = header.toString('latin1', 257, 262) === 'ustar' ? readString(header, 345, 155) : '';
+      const name = readString(header, 0, 100);
+      const size = readOctal(header, 124, 12);
+      entry = {
+        name: nextName || (prefix ? `${prefix}/${name}` : name),
+        type: String.fromCharCode(header[156]).replace('\0', ''),
+        remaining: size,
+        padding: (BLOCK - (size % BLOCK)) % BLOCK,
+        chunks: [],
+      };
+    }
+  }
+  if (entry && entry.remaining > 0) throw new Error('The archive is truncated');
+}
+
+// Zip entries are found through the central directory at the end of the
+// file, then read one at a time, so a large archive is never loaded whole
+function readZip(filePath, onFile) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const read = (position, length) => {
+      const buf = Buffer.alloc(length);
+      fs.readSync(fd, buf, 0, length, position);
+      return buf;
+    };
+    const fileSize = fs.fstatSync(fd).size;
+    // End of central directory record: 22 bytes plus a comment of up to 64KB
+    const tailLength = Math.min(fileSize, 22 + 0xFFFF);
+    const tail = read(fileSize - tailLength, tailLength);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error('Not a zip archive');
+    const count = tail.readUInt16LE(eocd + 10);
+    const dirSize = tail.readUInt32LE(eocd + 12);
+    const dirOffset = tail.readUInt32LE(eocd + 16);
+    if (count === 0xFFFF || dirOffset === 0xFFFFFFFF) throw new Error('ZIP64 archives are not supported; use a .tar.gz instead');
+
+    const dir = read(dirOffset, dirSize);
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      if (dir.readUInt32LE(offset) !== 0x02014b50) throw new Error('The zip central directory is corrupt');
+      const flags = dir.readUInt16LE(offset + 8);
+      const method = dir.readUInt16LE(offset + 10);
+      const compressedSize = dir.readUInt32LE(offset + 20);
+      const nameLength = dir.readUInt16LE(offset + 28);
+      const extraLength = dir.readUInt16LE(offset + 30);
+      const commentLength = dir.readUInt16LE(offset + 32);
+      const localOffset = dir.readUInt32LE(offset + 42);
+      const name = dir.toString('utf-8', offset + 46, offset + 46 + nameLength);
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) continue;
+      if (flags & 1) throw new Error(`${name} is encrypted`);
+      if (method !== 0 && method !== 8) throw new Error(`${name} uses an unsupported compression method (${method})`);
+      const local = read(localOffset, 30);
+      const dataStart = localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+      const raw = read(dataStart, compressedSize);
+      onFile(name, method === 8 ? zlib.inflateRawSync(raw) : raw);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Detects the format from the file's first bytes rather than its extension
+async function readArchive(filePath, onFile) {
+  const magic = Buffer.alloc(4);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, magic, 0, 4, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (magic.readUInt32LE(0) === 0x04034b50 || magic.readUInt32LE(0) === 0x06054b50) return readZip(filePath, onFile);
+  const input = fs.createReadStream(filePath);
+  if (magic[0] === 0x1f && magic[1] === 0x8b) return readTar(input.pipe(zlib.createGunzip()), onFile);
+  return readTar(input, onFile);
+}
+
+module.exports = { readArchive };
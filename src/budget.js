@@ -0,0 +1,157 @@
+const { createCalendar, systemTimeZone } = require('./timezone');
+const { projectMatches } = require('./projects');
+
+const PERIODS = ['day', 'week', 'month'];
+const DEFAULT_WARN_AT = 0.8;
+// A projection from less of the period than this is mostly noise, so it
+// doesn't raise a warning on its own
+const MIN_PROJECTION_MINUTES = 60;
+
+// Calendar arithmetic on YYYY-MM-DD strings
+function addDays(date, n) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / 86_400_000);
+}
+
+function parseAmount(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)([kKmM]?)$/);
+  if (!match) return NaN;
+  const scale = { k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1;
+  return parseFloat(match[1]) * scale;
+}
+
+// --budget flags: <period>=<limit>[@project]. A "$" prefix makes it a cost
+// limit, otherwise it's a token limit: month=$200, day=5M, week=$50@api
+function parseBudgetFlag(value) {
+  const match = String(value).match(/^(day|week|month)=(\$?)([^@]+)(?:@(.+))?$/);
+  if (!match) {
+    throw new Error(`Invalid --budget "${value}". Use <day|week|month>=<limit>[@project], e.g. month=$200 or day=5M`);
+  }
+  const limit = parseAmount(match[3]);
+  if (isNaN(limit) || limit <= 0) throw new Error(`Invalid --budget limit "${match[3]}"`);
+  return {
+    period: match[1],
+    [match[2] ? 'cost' : 'tokens']: limit,
+    project: match[4] || null,
+  };
+}
+
+function validateBudget(b) {
+  if (!PERIODS.includes(b.period)) {
+    throw new Error(`Invalid budget period "${b.period}". Use one of: ${PERIODS.join(', ')}`);
+  }
+  if (!(b.cost > 0) && !(b.tokens > 0)) {
+    throw new Error(`Budget for "${b.period}" needs a positive "cost" or "tokens" limit`);
+  }
+  return b;
+}
+
+// Budgets from ~/.claude-spend/config.json, plus any --budget flags
+function resolveBudgets(config = {}, flags = []) {
+  const budgets = [...(config.budgets || []), ...flags.map(parseBudgetFlag)];
+  return budgets.map(validateBudget);
+}
+
+// First and last date of the period containing today, in the data's timezone
+function periodBounds(period, today) {
+  if (period === 'day') return { from: today, to: today };
+  if (period === 'week') {
+    // Weeks start on Monday
+    const from = addDays(today, -((new Date(today + 'T00:00:00Z').getUTCDay() + 6) % 7));
+    return { from, to: addDays(from, 6) };
+  }
+  const from = today.slice(0, 8) + '01';
+  const nextMonth = new Date(from + 'T00:00:00Z');
+  nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+  return { from, to: addDays(nextMonth.toISOString().split('T')[0], -1) };
+}
+
+// Daily cost/tokens, optionally narrowed to one project (its directory, path
+// or name, as in the header filter)
+function dailySeries(data, project) {
+  if (!project) return data.dailyUsage;
+  const map = {};
+  for (const s of data.sessions) {
+    if (!projectMatches(s, project)) continue;
+    for (const q of s.queries) {
+      if (q.date === 'unknown') continue;
+      if (!map[q.date]) map[q.date] = { date: q.date, cost: 0, totalTokens: 0 };
+      map[q.date].cost += q.cost;
+      map[q.date].totalTokens += q.totalTokens;
+    }
+  }
+  return Object.values(map).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function evaluateBudget(data, budget, local, warnAt) {
+  const metric = budget.cost > 0 ? 'cost' : 'tokens';
+  const limit = metric === 'cost' ? budget.cost : budget.tokens;
+  const { from, to } = periodBounds(budget.period, local.date);
+  const field = metric === 'cost' ? 'cost' : 'totalTokens';
+
+  const days = dailySeries(data, budget.project).filter(d => d.date >= from && d.date <= to);
+  const used = days.reduce((sum, d) => sum + d[field], 0);
+
+  // Burn-down: remaining budget at the end of each day so far
+  const burndown = [];
+  let remaining = limit;
+  for (let date = from; date <= local.date; date = addDays(date, 1)) {
+    remaining -= days.find(x => x.date === date)?.[field] || 0;
+    burndown.push({ date, remaining });
+  }
+
+  // Linear projection from the share of the period that has elapsed, to the
+  // minute in the data's timezone
+  const elapsedMinutes = Math.max(1, daysBetween(from, local.date) * 1440 + local.minuteOfDay);
+  const elapsed = Math.min(1, elapsedMinutes / ((daysBetween(from, to) + 1) * 1440));
+  const projected = used / elapsed;
+
+  let status = 'ok';
+  if (used > limit) status = 'exceeded';
+  else if (used >= limit * warnAt || (projected > limit && elapsedMinutes >= MIN_PROJECTION_MINUTES)) status = 'warning';
+
+  return {
+    period: budget.period,
+    project: budget.project || null,
+    metric,
+    limit,
+    used,
+    remaining: limit - used,
+    pctUsed: used / limit,
+    projected,
+    from,
+    to,
+    burndown,
+    status,
+  };
+}
+
+function evaluateBudgets(data, budgets, { now = new Date(), warnAt = DEFAULT_WARN_AT } = {}) {
+  const calendar = createCalendar(data.timeZone || systemTimeZone());
+  const timestamp = now.toISOString();
+  const local = { ...calendar.parts(timestamp), minuteOfDay: calendar.minuteOfDay(timestamp) };
+  return budgets.map(b => evaluateBudget(data, b, local, b.warnAt || warnAt));
+}
+
+function formatBudgetValue(metric, n) {
+  if (metric === 'cost') return '$' + n.toFixed(2);
+  if (n >= 1_000_000) return (n / 1_000_000).toFixed(1) + 'M tokens';
+  if (n >= 1_000) return (n / 1_000).toFixed(0) + 'K tokens';
+  return Math.round(n) + ' tokens';
+}
+
+function describeBudget(b) {
+  const scope = b.project ? ` for ${b.project}` : '';
+  const used = formatBudgetValue(b.metric, b.used);
+  const limit = formatBudgetValue(b.metric, b.limit);
+  const projected = formatBudgetValue(b.metric, b.projected);
+  const label = { ok: 'OK', warning: 'WARNING', exceeded: 'EXCEEDED' }[b.status];
+  return `[${label}] ${b.period}${scope}: ${used} of ${limit} (${(b.pctUsed * 100).toFixed(0)}%), projected ${projected} by ${b.to}`;
+}
+
+module.exports = { resolveBudgets, parseBudgetFlag, evaluateBudgets, describeBudget, periodBounds, addDays, daysBetween, PERIODS };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./config');
+
+// Bump whenever the shape of cached session state changes, so stale caches
+// are discarded instead of misread.
+const CACHE_VERSION = 8;
+
+// Kept in memory too, so refreshes in a long-running server skip the JSON read
+let memoryCache = null;
+
+function getCachePath() {
+  return path.join(getDataDir(), 'cache.json');
+}
+
+function emptyCache() {
+  return { version: CACHE_VERSION, files: {} };
+}
+
+function loadCache() {
+  if (memoryCache) return memoryCache;
+  try {
+    const cache = JSON.parse(fs.readFileSync(getCachePath(), 'utf-8'));
+    memoryCache = cache.version === CACHE_VERSION && cache.files ? cache : emptyCache();
+  } catch {
+    memoryCache = emptyCache();
+  }
+  return memoryCache;
+}
+
+function saveCache(files) {
+  memoryCache = { version: CACHE_VERSION, files };
+  try {
+    fs.mkdirSync(getDataDir(), { recursive: true });
+    // Write then rename, so a crash mid-write never leaves a truncated cache
+    const tmp = getCachePath() + '.' + process.pid + '.tmp';
+    fs.writeFileSync(tmp, JSON.stringify(memoryCache));
+    fs.renameSync(tmp, getCachePath());
+  } catch {
+    // The cache is only an optimisation; a read-only home dir shouldn't break parsing
+  }
+}
+
+function clearCache() {
+  memoryCache = null;
+  try {
+    fs.unlinkSync(getCachePath());
+  } catch {
+    // Nothing to clear
+  }
+}
+
+module.exports = { loadCache, saveCache, clearCache, getCachePath };
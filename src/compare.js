@@ -0,0 +1,188 @@
+const { addDays, daysBetween, periodBounds } = require('./budget');
+const { filterData } = require('./filter');
+const { fmt } = require('./parser');
+const { formatTable, fmtCost } = require('./report');
+const { createCalendar, systemTimeZone } = require('./timezone');
+
+const DATE = '\\d{4}-\\d{2}-\\d{2}';
+
+// Period specs for --this and --vs (and ?this=&vs= on /api/compare):
+//   today, yesterday, week, last-week, month, last-month, 7d (the last 7 days
+//   including today), 2026-10-01 (one day) or 2026-10-01..2026-10-15.
+// "week" and "month" are calendar periods and run up to today.
+function resolvePeriod(spec, today) {
+  const value = String(spec).trim().toLowerCase().replace(/^this[- ]/, '');
+  if (value === 'today') return { from: today, to: today, label: 'Today' };
+  if (value === 'yesterday') return { from: addDays(today, -1), to: addDays(today, -1), label: 'Yesterday' };
+  if (value === 'week' || value === 'month') {
+    return { from: periodBounds(value, today).from, to: today, label: `This ${value}` };
+  }
+  const last = value.match(/^(?:last|previous)[- ](week|month)$/);
+  if (last) {
+    const { from } = periodBounds(last[1], today);
+    return { ...periodBounds(last[1], addDays(from, -1)), label: `Last ${last[1]}` };
+  }
+  const days = value.match(/^(\d+)d$/);
+  if (days && parseInt(days[1], 10) > 0) {
+    const n = parseInt(days[1], 10);
+    return { from: addDays(today, -n + 1), to: today, label: `Last ${n} days` };
+  }
+  const range = value.match(new RegExp(`^(${DATE})(?:\\.\\.(${DATE}))?$`));
+  if (range) {
+    const to = range[2] || range[1];
+    if (range[1] > to) throw new Error(`Invalid period "${spec}": the start is after the end`);
+    return { from: range[1], to, label: range[2] ? `${range[1]} to ${to}` : range[1] };
+  }
+  throw new Error(`Invalid period "${spec}". Use today, yesterday, week, last-week, month, last-month, 7d, a YYYY-MM-DD date or YYYY-MM-DD..YYYY-MM-DD`);
+}
+
+// The same number of days right before `period`
+function previousPeriod(period) {
+  const length = daysBetween(period.from, period.to) + 1;
+  const to = addDays(period.from, -1);
+  return { from: addDays(to, -length + 1), to, label: 'Previous period' };
+}
+
+// Totals for one period, from its dailyUsage and modelBreakdown
+function summarizePeriod(data, period, filter) {
+  const slice = filterData(data, { project: null, model: null, source: null, ...filter, from: period.from, to: period.to });
+  const sum = field => slice.dailyUsage.reduce((total, d) => total + d[field], 0);
+  const days = daysBetween(period.from, period.to) + 1;
+  const cost = sum('cost');
+  const totalTokens = sum('totalTokens');
+  const queries = sum('queries');
+  const allInput = sum('inputTokens') + sum('cacheCreationTokens') + sum('cacheReadTokens');
+  const totals = {
+    ...period,
+    days,
+    activeDays: slice.dailyUsage.length,
+    cost,
+    costPerDay: cost / days,
+    totalTokens,
+    sessions: slice.sessions.length,
+    queries,
+    cacheHitRate: allInput > 0 ? sum('cacheReadTokens') / allInput : 0,
+    avgTokensPerQuery: queries > 0 ? totalTokens / queries : 0,
+  };
+  const models = slice.modelBreakdown.map(m => ({
+    model: m.model,
+    cost: m.cost,
+    totalTokens: m.totalTokens,
+    share: cost > 0 ? m.cost / cost : 0,
+  }));
+  return { totals, models };
+}
+
+const METRICS = [
+  { key: 'cost', label: 'Cost' },
+  { key: 'costPerDay', label: 'Cost per day' },
+  { key: 'totalTokens', label: 'Tokens' },
+  { key: 'sessions', label: 'Sessions' },
+  { key: 'queries', label: 'Queries' },
+  { key: 'avgTokensPerQuery', label: 'Avg tokens per query' },
+  // Rates change in percentage points; a percent change of a percentage misleads
+  { key: 'cacheHitRate', label: 'Cache hit rate', rate: true },
+];
+
+function change(current, previous) {
+  return {
+    delta: current - previous,
+    pctChange: previous > 0 ? (current - previous) / previous : null,
+  };
+}
+
+// Diffs `current` against `previous` (defaults to the period right before it).
+// Filter is { project, model, source } as in filter.js.
+function comparePeriods(data, { current = 'week', previous = null, filter = {}, now = new Date() } = {}) {
+  const today = createCalendar(data.timeZone || systemTimeZone()).parts(now.toISOString()).date;
+  const a = resolvePeriod(current, today);
+  const b = previous ? resolvePeriod(previous, today) : previousPeriod(a);
+  const { totals: cur, models: curModels } = summarizePeriod(data, a, filter);
+  const { totals: prev, models: prevModels } = summarizePeriod(data, b, filter);
+
+  const metrics = METRICS.map(m => ({
+    key: m.key,
+    label: m.label,
+    rate: !!m.rate,
+    current: cur[m.key],
+    previous: prev[m.key],
+    ...change(cur[m.key], prev[m.key]),
+  }));
+
+  // Model mix as each model's share of the period's cost
+  const modelNames = [...new Set([...curModels, ...prevModels].map(m => m.model))];
+  const models = modelNames.map(model => {
+    const c = curModels.find(m => m.model === model) || { cost: 0, totalTokens: 0, share: 0 };
+    const p = prevModels.find(m => m.model === model) || { cost: 0, totalTokens: 0, share: 0 };
+    return {
+      model,
+      current: { cost: c.cost, totalTokens: c.totalTokens, share: c.share },
+      previous: { cost: p.cost, totalTokens: p.totalTokens, share: p.share },
+      shareDelta: c.share - p.share,
+      ...change(c.cost, p.cost),
+    };
+  }).sort((x, y) => (y.current.cost + y.previous.cost) - (x.current.cost + x.previous.cost));
+
+  return { current: cur, previous: prev, metrics, models };
+}
+
+function formatMetricValue(m, value) {
+  if (m.rate) return (value * 100).toFixed(1) + '%';
+  if (m.key === 'cost' || m.key === 'costPerDay') return fmtCost(value);
+  return fmt(Math.round(value));
+}
+
+function formatDelta(m, delta) {
+  const sign = delta > 0 ? '+' : delta < 0 ? '-' : '';
+  if (m.rate) return `${sign}${Math.abs(delta * 100).toFixed(1)} pts`;
+  return sign + formatMetricValue(m, Math.abs(delta));
+}
+
+function formatPct(m) {
+  if (m.pctChange === null) return m.current > 0 ? 'new' : '';
+  return (m.pctChange > 0 ? '+' : '') + (m.pctChange * 100).toFixed(0) + '%';
+}
+
+function describePeriod(p) {
+  const range = p.from === p.to ? p.from : `${p.from} to ${p.to}`;
+  return `${p.label} (${range}, ${p.days} day${p.days === 1 ? '' : 's'})`;
+}
+
+function formatComparison(result) {
+  const { current, previous } = result;
+  const lines = [`${describePeriod(current)} vs ${describePeriod(previous)}`, ''];
+
+  lines.push(formatTable([
+    { key: 'label', header: 'Metric' },
+    { key: 'current', header: current.label, align: 'right' },
+    { key: 'previous', header: previous.label, align: 'right' },
+    { key: 'delta', header: 'Change', align: 'right' },
+    { key: 'pct', header: '%', align: 'right' },
+  ], result.metrics.map(m => ({
+    label: m.label,
+    current: formatMetricValue(m, m.current),
+    previous: formatMetricValue(m, m.previous),
+    delta: formatDelta(m, m.delta),
+    pct: m.rate ? '' : formatPct(m),
+  }))));
+
+  if (result.models.length > 0) {
+    const share = s => (s * 100).toFixed(1) + '%';
+    lines.push('', 'Model mix (share of cost)', '', formatTable([
+      { key: 'model', header: 'Model' },
+      { key: 'current', header: current.label, align: 'right' },
+      { key: 'previous', header: previous.label, align: 'right' },
+      { key: 'shareDelta', header: 'Change', align: 'right' },
+      { key: 'cost', header: 'Cost change', align: 'right' },
+    ], result.models.map(m => ({
+      model: m.model,
+      current: share(m.current.share),
+      previous: share(m.previous.share),
+      shareDelta: formatDelta({ rate: true }, m.shareDelta),
+      cost: formatDelta({ key: 'cost' }, m.delta),
+    }))));
+  }
+  return lines.join('\n');
+}
+
+module.exports = { comparePeriods, formatComparison, resolvePeriod };
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// claude-spend's own files (config, parse cache) live outside ~/.claude so
+// they never mix with Claude Code's data.
+function getDataDir() {
+  return path.join(os.homedir(), '.claude-spend');
+}
+
+function getConfigPath() {
+  return path.join(getDataDir(), 'config.json');
+}
+
+function loadConfig() {
+  const configPath = getConfigPath();
+  if (!fs.existsSync(configPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Could not read ${configPath}: ${err.message}`);
+  }
+}
+
+module.exports = { loadConfig, getDataDir, getConfigPath };
@@ -0,0 +1,58 @@
+// Context window sizes in tokens. Sonnet 4 and later can run with a 1M
+// window; a session that ever sent more than 200K tokens must have had it.
+const DEFAULT_CONTEXT_LIMIT = 200_000;
+const LONG_CONTEXT_LIMIT = 1_000_000;
+
+// Everything the model read for one response
+function contextTokens(q) {
+  return q.inputTokens + q.cacheCreationTokens + q.cacheReadTokens;
+}
+
+function contextLimit(peak) {
+  return peak > DEFAULT_CONTEXT_LIMIT ? LONG_CONTEXT_LIMIT : DEFAULT_CONTEXT_LIMIT;
+}
+
+// "/compact", the compact_boundary Claude Code writes and the summary that
+// follows it describe one compaction, so records at the same point merge.
+// A boundary knows the trigger (manual or auto); a summary with nothing before
+// it is an auto-compaction from a version that wrote no boundary.
+function recordCompaction(state, entry, kind, { preTokens = null, fromBoundary = false } = {}) {
+  const queryIndex = state.queries.length;
+  const last = state.compactions[state.compactions.length - 1];
+  if (kind !== 'clear' && last && last.kind !== 'clear' && last.queryIndex === queryIndex) {
+    if (fromBoundary) last.kind = kind;
+    if (preTokens) last.preTokens = preTokens;
+    return;
+  }
+  state.compactions.push({ kind, timestamp: entry.timestamp || null, queryIndex, preTokens });
+}
+
+// Context before and after each compaction, from the main-thread responses
+// around it (subagents have their own context)
+function describeCompactions(state) {
+  const main = state.queries.filter(q => !q.agentId);
+  return state.compactions.map(c => {
+    const mainBefore = state.queries.slice(0, c.queryIndex).filter(q => !q.agentId).length;
+    const before = c.preTokens || (mainBefore > 0 ? contextTokens(main[mainBefore - 1]) : null);
+    const after = mainBefore < main.length ? contextTokens(main[mainBefore]) : null;
+    return {
+      kind: c.kind,
+      timestamp: c.timestamp,
+      before,
+      after,
+      saved: before !== null && after !== null ? Math.max(0, before - after) : null,
+    };
+  });
+}
+
+// Peak context, the window it ran against, and its compactions
+function summarizeContext(state) {
+  const peakContext = state.queries.reduce((max, q) => q.agentId ? max : Math.max(max, contextTokens(q)), 0);
+  return {
+    peakContext,
+    contextLimit: contextLimit(peakContext),
+    compactions: describeCompactions(state),
+  };
+}
+
+module.exports = { contextTokens, contextLimit, recordCompaction, summarizeContext, DEFAULT_CONTEXT_LIMIT };
@@ -0,0 +1,116 @@
+const { groupTurns } = require('./parser');
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+const LEVELS = ['session', 'prompt', 'query'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+const TOKEN_FIELDS = ['inputTokens', 'cacheCreationTokens', 'cacheReadTokens', 'outputTokens', 'totalTokens', 'cost'];
+
+function pickTokens(src) {
+  const out = {};
+  for (const f of TOKEN_FIELDS) out[f] = src[f] || 0;
+  return out;
+}
+
+// Flatten parsed sessions into one row per session, prompt or query
+function buildRows(data, level) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Invalid level "${level}". Use one of: ${LEVELS.join(', ')}`);
+  }
+
+  const rows = [];
+  for (const s of data.sessions) {
+    if (level === 'session') {
+      rows.push({
+        sessionId: s.sessionId,
+        project: s.project,
+        projectPath: s.projectPath,
+        source: s.source,
+        date: s.date,
+        timestamp: s.timestamp || null,
+        model: s.model,
+        queryCount: s.queryCount,
+        firstPrompt: s.firstPrompt,
+        ...pickTokens(s),
+      });
+    } else if (level === 'prompt') {
+      for (const t of groupTurns(s.queries)) {
+        rows.push({
+          sessionId: s.sessionId,
+          project: s.project,
+          projectPath: s.projectPath,
+          source: s.source,
+          promptIndex: t.turn,
+          timestamp: t.timestamp || null,
+          durationMs: t.durationMs,
+          model: t.model,
+          models: t.models.map(m => m.model).join(';'),
+          queryCount: t.queryCount,
+          toolRounds: t.toolRounds,
+          subagentQueries: t.subagentQueries,
+          prompt: t.prompt,
+          ...pickTokens(t),
+        });
+      }
+    } else {
+      s.queries.forEach((q, i) => {
+        rows.push({
+          sessionId: s.sessionId,
+          project: s.project,
+          projectPath: s.projectPath,
+          source: s.source,
+          queryIndex: i + 1,
+          promptIndex: q.turn || null,
+          userTimestamp: q.userTimestamp,
+          assistantTimestamp: q.assistantTimestamp,
+          model: q.model,
+          tools: q.tools.join(';'),
+          agentId: q.agentId || null,
+          userPrompt: q.userPrompt,
+          ...pickTokens(q),
+        });
+      });
+    }
+  }
+  return rows;
+}
+
+// Columns of free text from the transcript. Spreadsheets run a cell starting
+// with = + - @ (or a tab or CR before one) as a formula, so text like that
+// gets a leading ' and is quoted. Ids, projects and paths are left as they
+// are: project directories like -home-me-app start with a dash.
+const TEXT_FIELDS = ['firstPrompt', 'prompt', 'userPrompt'];
+
+function csvCell(value, text = false) {
+  if (value === null || value === undefined) return '';
+  if (text && typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) return '"\'' + value.replace(/"/g, '""') + '"';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function serialize(rows, format) {
+  if (format === 'json') return JSON.stringify(rows, null, 2) + '\n';
+  if (format === 'ndjson') return rows.map(r => JSON.stringify(r)).join('\n') + (rows.length ? '\n' : '');
+  if (format === 'csv') {
+    if (rows.length === 0) return '';
+    const headers = Object.keys(rows[0]);
+    const lines = [headers.join(',')];
+    for (const r of rows) lines.push(headers.map(h => csvCell(r[h], TEXT_FIELDS.includes(h))).join(','));
+    return lines.join('\n') + '\n';
+  }
+  throw new Error(`Invalid format "${format}". Use one of: ${FORMATS.join(', ')}`);
+}
+
+function exportData(data, { format = 'csv', level = 'session' } = {}) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  return serialize(buildRows(data, level), format);
+}
+
+module.exports = { exportData, buildRows, serialize, FORMATS, LEVELS, CONTENT_TYPES };
@@ -0,0 +1,71 @@
+const { summarizeSessions, sumQueries } = require('./parser');
+const { projectMatches } = require('./projects');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Rejects dates like 2026-02-31 that Date would roll over
+function isRealDate(value) {
+  const d = new Date(value + 'T00:00:00Z');
+  return !isNaN(d) && d.toISOString().startsWith(value);
+}
+
+// Filters from /api/data query parameters or CLI flags: from/to are inclusive
+// YYYY-MM-DD dates, project is a project directory, path or name, model
+// is a model id or part of one ("opus") and source is a source name (see
+// sources.js)
+function parseFilter({ from, to, project, model, source } = {}) {
+  for (const [name, value] of Object.entries({ from, to, project, model, source })) {
+    if (value !== undefined && value !== null && typeof value !== 'string') throw new Error(`Invalid ${name}: expected a single value`);
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && !(DATE_PATTERN.test(value) && isRealDate(value))) throw new Error(`Invalid ${name} date "${value}". Use YYYY-MM-DD`);
+  }
+  if (from && to && from > to) throw new Error(`"from" (${from}) is after "to" (${to})`);
+  return { from: from || null, to: to || null, project: project || null, model: model || null, source: source || null };
+}
+
+function isEmptyFilter(filter) {
+  return !filter.from && !filter.to && !filter.project && !filter.model && !filter.source;
+}
+
+function queryMatches(q, { from, to, model }) {
+  // q.date is the query's date in the configured timezone
+  if (from || to) {
+    if (q.date === 'unknown' || (from && q.date < from) || (to && q.date > to)) return false;
+  }
+  if (model && q.model !== model && !q.model.toLowerCase().includes(model.toLowerCase())) return false;
+  return true;
+}
+
+// Keeps only matching queries and recomputes every breakdown from them, so
+// totals, charts and insights all describe the same slice
+function filterData(data, filter) {
+  if (isEmptyFilter(filter)) return data;
+
+  const sessions = [];
+  for (const session of data.sessions) {
+    if (filter.project && !projectMatches(session, filter.project)) continue;
+    if (filter.source && session.source !== filter.source) continue;
+    const queries = session.queries.filter(q => queryMatches(q, filter));
+    if (queries.length === 0) continue;
+    if (queries.length === session.queries.length) {
+      sessions.push(session);
+      continue;
+    }
+    // A session that spans the range boundary counts from its first matching query
+    const first = queries.find(q => q.date !== 'unknown');
+    sessions.push({
+      ...session,
+      date: first ? first.date : session.date,
+      queries,
+      ...sumQueries(queries),
+    });
+  }
+
+  sessions.sort((a, b) => b.totalTokens - a.totalTokens);
+  // A month-end forecast from a date-limited slice would only describe the slice
+  const summary = summarizeSessions(sessions, { timeZone: data.timeZone, forecast: !filter.from && !filter.to });
+  return { ...summary, projects: data.projects, models: data.models, sources: data.sources, duplicateFiles: data.duplicateFiles, timeZone: data.timeZone, redaction: data.redaction, filter };
+}
+
+module.exports = { parseFilter, filterData, isEmptyFilter };
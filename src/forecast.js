@@ -0,0 +1,152 @@
+const { addDays, daysBetween, periodBounds } = require('./budget');
+const { createCalendar, systemTimeZone } = require('./timezone');
+
+// The forecast's baseline: the 28 complete days before today. Idle days count
+// as zero, so the daily mean reflects how often you actually use Claude Code.
+const BASELINE_DAYS = 28;
+const MIN_ACTIVE_DAYS = 7;
+// 80% band: the month should end inside it four times out of five
+const BAND_Z = 1.2816;
+
+// Outliers are scored against the user's own history with a robust z-score
+// (Iglewicz and Hoaglin): the distance from the median in units of the median
+// absolute deviation. Unlike a standard deviation, one runaway day can't hide
+// itself by inflating the spread.
+const OUTLIER_Z = 3.5;
+const MIN_OUTLIER_COST = 1;
+const MIN_SESSIONS = 10;
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function stdDev(values, m = mean(values)) {
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / Math.max(1, values.length - 1));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function robustScorer(values) {
+  const med = median(values);
+  const mad = median(values.map(v => Math.abs(v - med)));
+  return {
+    median: med,
+    score: v => (mad > 0 ? 0.6745 * (v - med) / mad : (v > med ? Infinity : 0)),
+  };
+}
+
+// Month-end cost: what's been spent so far plus the baseline's daily mean for
+// the rest of the month. Days are treated as independent, so the band widens
+// with the square root of the days left. Outlier days are left out of the
+// baseline, since a runaway day isn't expected to repeat. Null without enough
+// history.
+function forecastMonth(dailyUsage, { timeZone, now = new Date(), outlierDays = [] } = {}) {
+  const local = createCalendar(timeZone || systemTimeZone()).parts(now.toISOString());
+  const today = local.date;
+  const byDate = Object.fromEntries(dailyUsage.map(d => [d.date, d]));
+  const skip = new Set(outlierDays.map(d => d.date));
+  const baseline = [];
+  for (let i = BASELINE_DAYS; i >= 1; i--) {
+    const date = addDays(today, -i);
+    if (!skip.has(date)) baseline.push(byDate[date] || { cost: 0, totalTokens: 0 });
+  }
+  const activeDays = baseline.filter(d => d.totalTokens > 0).length;
+  if (activeDays < MIN_ACTIVE_DAYS) return null;
+
+  const { from, to } = periodBounds('month', today);
+  const spent = dailyUsage.filter(d => d.date >= from && d.date <= today).reduce((sum, d) => sum + d.cost, 0);
+  // The rest of today plus every later day of the month
+  const remainingDays = daysBetween(today, to) + 1 - local.hour / 24;
+
+  const costs = baseline.map(d => d.cost);
+  const tokens = baseline.map(d => d.totalTokens);
+  const cost = { mean: mean(costs), std: stdDev(costs) };
+  const token = { mean: mean(tokens), std: stdDev(tokens) };
+  const projected = spent + cost.mean * remainingDays;
+  const spread = BAND_Z * cost.std * Math.sqrt(remainingDays);
+
+  // Expected usage for each remaining day, for the daily chart
+  const days = [];
+  for (let date = addDays(today, 1); date <= to; date = addDays(date, 1)) {
+    days.push({
+      date,
+      cost: cost.mean,
+      totalTokens: token.mean,
+      low: Math.max(0, token.mean - BAND_Z * token.std),
+      high: token.mean + BAND_Z * token.std,
+    });
+  }
+
+  return {
+    month: today.slice(0, 7),
+    from,
+    to,
+    today,
+    spent,
+    projected,
+    low: Math.max(spent, projected - spread),
+    high: projected + spread,
+    confidence: 0.8,
+    baselineDays: baseline.length,
+    activeDays,
+    dailyMean: { cost: cost.mean, totalTokens: token.mean },
+    days,
+  };
+}
+
+function durationMs(session) {
+  let first = Infinity, last = -Infinity;
+  for (const q of session.queries) {
+    const t = Date.parse(q.assistantTimestamp);
+    if (isNaN(t)) continue;
+    first = Math.min(first, t);
+    last = Math.max(last, t);
+  }
+  return last >= first ? last - first : 0;
+}
+
+// Days and sessions that cost far more than usual: a robust z-score above 3.5,
+// at least twice (days) or three times (sessions) the median, and $1 or more
+function findOutliers(dailyUsage, sessions) {
+  const days = [];
+  const activeDays = dailyUsage.filter(d => d.cost > 0);
+  if (activeDays.length >= MIN_ACTIVE_DAYS) {
+    const { median: typical, score } = robustScorer(activeDays.map(d => d.cost));
+    for (const d of activeDays) {
+      if (d.cost >= MIN_OUTLIER_COST && d.cost >= typical * 2 && score(d.cost) > OUTLIER_Z) {
+        days.push({ date: d.date, cost: d.cost, totalTokens: d.totalTokens, typical, ratio: typical > 0 ? d.cost / typical : null });
+      }
+    }
+  }
+
+  const outlierSessions = [];
+  if (sessions.length >= MIN_SESSIONS) {
+    const { median: typical, score } = robustScorer(sessions.map(s => s.cost));
+    for (const s of sessions) {
+      if (s.cost >= MIN_OUTLIER_COST && s.cost >= typical * 3 && score(s.cost) > OUTLIER_Z) {
+        outlierSessions.push({
+          sessionId: s.sessionId,
+          firstPrompt: s.firstPrompt.substring(0, 100),
+          date: s.date,
+          cost: s.cost,
+          totalTokens: s.totalTokens,
+          queryCount: s.queryCount,
+          durationMs: durationMs(s),
+          typical,
+          ratio: typical > 0 ? s.cost / typical : null,
+        });
+      }
+    }
+  }
+
+  return {
+    days: days.sort((a, b) => b.cost - a.cost).slice(0, 10),
+    sessions: outlierSessions.sort((a, b) => b.cost - a.cost).slice(0, 10),
+  };
+}
+
+module.exports = { forecastMonth, findOutliers };
@@ -1,8 +1,52 @@
 #!/usr/bin/env node
 
-const { createServer } = require('./server');
-
 const args = process.argv.slice(2);
+const command = args[0] && !args[0].startsWith('-') ? args[0] : null;
+
+function getOption(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// All values of a repeatable option, e.g. --budget a --budget b
+function getOptions(name) {
+  const values = [];
+  args.forEach((arg, i) => {
+    if (arg === name && args[i + 1] !== undefined) values.push(args[i + 1]);
+  });
+  return values;
+}
+
+// --since as the first date to include, counted back from today in the
+// --timezone usage is attributed in
+function getSince() {
+  const timeZone = require('./timezone').resolveTimeZone(require('./config').loadConfig(), getOption('--timezone'));
+  return require('./report').parseSince(getOption('--since'), { timeZone });
+}
+
+// --project, --model and --source narrow report and export to matching usage
+function loadFilter(from) {
+  const { parseFilter } = require('./filter');
+  return parseFilter({ from, project: getOption('--project'), model: getOption('--model'), source: getOption('--source') });
+}
+
+// --redact <none|secrets-only|full> (see redact.js). A bare --redact, as in
+// `snapshot --redact`, means full.
+function getRedactFlag() {
+  const index = args.indexOf('--redact');
+  if (index === -1) return undefined;
+  const value = args[index + 1];
+  return value && !value.startsWith('-') ? value : 'full';
+}
+
+function parseSessions() {
+  return require('./parser').parseAllSessions({ timeZone: getOption('--timezone'), claudeDirs: getOptions('--claude-dir'), redact: getRedactFlag() });
+}
+
+function loadBudgets() {
+  const { resolveBudgets } = require('./budget');
+  return resolveBudgets(require('./config').loadConfig(), getOptions('--budget'));
+}
 
 if (args.includes('--help') || args.includes('-h')) {
   console.log(`
@@ -10,55 +54,528 @@ claude-spend - See where your Claude Code tokens go
 
 Usage:
   claude-spend [options]
+  claude-spend report [report options]
+  claude-spend export [export options]
+  claude-spend snapshot --out <file.html> [--since <when>] [--redact]
+  claude-spend check [--budget ...] [--quiet]
+  claude-spend plan [--plan <plan>]
+  claude-spend compare [--this <period>] [--vs <period>]
+  claude-spend import <archive> [--name <name>]
+  claude-spend sources [--remove <name>]
+  claude-spend insights [--rules] [--all] [--dismiss <key>] [--restore <key>]
+  claude-spend search <query> [--sort <key>] [--limit <n>]
+  claude-spend team <directory> [--port <port>]
 
 Options:
   --port <port>   Port to run dashboard on (default: 3456)
   --no-open       Don't auto-open browser
+  --host <addr>   Address to listen on (default: 127.0.0.1). Any other
+                  address, like 0.0.0.0, requires an access token
+  --token <t>     Access token for --host (default: a random one, printed
+                  in the dashboard URL)
+  --redact <mode> How much prompt text to show: none, secrets-only (API
+                  keys, tokens and passwords hidden) or full (prompts
+                  hashed). Default: "redact" in config.json, else
+                  secrets-only
+  --budget <b>    Add a budget: <day|week|month>=<limit>[@project], e.g.
+                  month=$200 (cost) or day=5M (tokens). Repeatable, and
+                  combined with budgets in ~/.claude-spend/config.json
+  --plan <plan>   Subscription plan: pro, max5 or max20. Shows 5-hour
+                  block and weekly usage (also settable in config.json)
+  --timezone <tz> Timezone for days and hours, e.g. Europe/Berlin
+                  (default: "timezone" in config.json, else the system zone)
+  --claude-dir <dir>
+                  Read sessions from this Claude config directory instead
+                  of ~/.claude (or $CLAUDE_CONFIG_DIR). Repeatable; name a
+                  source with vm=/mnt/vm/.claude
+  --source <s>    Only include one source in report, export and compare
   --help, -h      Show this help message
 
+Report options:
+  --by <group>    Group by day, hour, model, project, session or turn (one
+                  row per prompt you sent, with its tool rounds) (default: day)
+  --sort <key>    Order turns by cost, tokens, duration, rounds, queries or
+                  date (default: cost)
+  --since <when>  Only include usage since 7d, 2w, 3m or a YYYY-MM-DD date
+  --limit <n>     Show at most n rows
+  --project <p>   Only include one project (directory name, path or name)
+  --model <m>     Only include one model, e.g. opus or claude-sonnet-4-5
+
+Export options:
+  --format <fmt>  csv, json or ndjson (default: csv)
+  --level <lvl>   One row per session, prompt or query (default: session)
+  --out <file>    Write to a file instead of stdout
+  --project <p>   Only include one project
+  --model <m>     Only include one model
+  --anonymize     Write a team export instead (JSON): per-query usage,
+                  model, tools and timestamps with hashed project and
+                  session ids, for claude-spend team
+  --person <name> Name in a team export (required with --anonymize)
+  --include-prompts
+                  Keep prompts in a team export (left out by default)
+  --project-names Keep repo names in a team export instead of only hashes
+
+Snapshot:
+  Writes the dashboard as a single HTML file with the data inside, to
+  attach or archive. It opens offline, without claude-spend installed.
+  --out <file>    HTML file to write
+  --since <when>  Only include usage since 7d, 2w, 3m or a YYYY-MM-DD date
+  --redact        Leave out prompt text, keeping usage, models and tools
+                  (the same as --redact full)
+  --project, --model and --source narrow it like report
+
+Compare options:
+  --this <period> Period to look at (default: week)
+  --vs <period>   Period to compare against (default: the same number of
+                  days right before). Periods: today, yesterday, week,
+                  last-week, month, last-month, 7d, 30d, 2026-10-01 or
+                  2026-10-01..2026-10-15
+  --project <p>   Only include one project
+  --model <m>     Only include one model
+
+Import:
+  Adds a tar, tar.gz or zip of another machine's ~/.claude/projects folder
+  (or the whole ~/.claude) as a source. It's unpacked under
+  ~/.claude-spend/imports and included from then on; importing the same
+  name again replaces it.
+  --name <name>   Source name (default: the archive's file name)
+
+Sources:
+  Lists every source with its session count.
+  --remove <name> Delete an imported source
+
+Team:
+  Serves a dashboard over every team export (*.json) in a directory:
+  cost per person and repo, cache hit rate leaderboard and model mix.
+  The newest export of each person is used.
+
+Insights:
+  Prints the insights for your usage, most severe first. Rules are tuned,
+  disabled or added under "insights" in ~/.claude-spend/config.json.
+  --rules         List every rule with its severity and thresholds
+  --all           Include dismissed insights
+  --dismiss <key> Hide an insight, in the dashboard too
+  --restore <key> Show a dismissed insight again
+
+Search:
+  Finds prompts in every session by their words, "exact phrases" and
+  fields: model:opus project:api tools:Bash date:2026-10 session:<id>
+  source:<name>, and cost>2 tokens>500K rounds>10 duration>5m (also <,
+  >=, <=). Every term has to match; -term excludes matches.
+  --sort <key>    relevance, cost or date (default: relevance)
+  --limit <n>     Show at most n prompts (default: 20)
+  --since, --project, --model and --source narrow it like report
+
+Check:
+  Prints each budget's status and exits with code 1 if any is exceeded.
+  --quiet         Print nothing, only set the exit code
+
 Examples:
-  npx claude-spend          Open dashboard in browser
-  claude-spend --port 8080  Use custom port
+  npx claude-spend                       Open dashboard in browser
+  claude-spend --port 8080               Use custom port
+  claude-spend report --since 7d --by model
+  claude-spend report --since 7d --project my-api
+  claude-spend report --by turn --sort duration --limit 20
+  claude-spend export --level query --out usage.csv
+  claude-spend snapshot --out report.html --since 30d --redact
+  claude-spend check --budget month=$200
+  claude-spend plan --plan max5
+  claude-spend compare --this week --vs last-week
+  claude-spend --claude-dir ~/.claude --claude-dir vm=/mnt/vm/.claude
+  claude-spend import laptop-projects.tar.gz --name laptop
+  claude-spend export --anonymize --person alice --out alice.json
+  claude-spend team ./team-exports
+  claude-spend insights --rules
+  claude-spend search auth middleware model:opus cost>2
 `);
   process.exit(0);
 }
 
-const portIndex = args.indexOf('--port');
-const port = portIndex !== -1 ? parseInt(args[portIndex + 1], 10) : 3456;
-const noOpen = args.includes('--no-open');
+async function runReport() {
+  const { buildReport } = require('./report');
+  const limit = getOption('--limit') ? parseInt(getOption('--limit'), 10) : null;
+  if (limit !== null && isNaN(limit)) {
+    console.error('Error: --limit must be a number');
+    process.exit(1);
+  }
 
-if (isNaN(port)) {
-  console.error('Error: --port must be a number');
-  process.exit(1);
+  try {
+    const since = getSince();
+    const filter = loadFilter(since);
+    const budgets = loadBudgets();
+    const data = await parseSessions();
+    const filtered = require('./filter').filterData(data, filter);
+    console.log(buildReport(filtered, { by: getOption('--by') || 'day', since, limit, sort: getOption('--sort') }));
+
+    const { evaluateBudgets, describeBudget } = require('./budget');
+    const alerts = evaluateBudgets(data, budgets).filter(b => b.status !== 'ok');
+    if (alerts.length > 0) console.log('\n' + alerts.map(describeBudget).join('\n'));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function runExport() {
+  const { exportData } = require('./export');
+  const out = getOption('--out');
+
+  try {
+    const filter = loadFilter();
+    const data = require('./filter').filterData(await parseSessions(), filter);
+    const body = args.includes('--anonymize')
+      ? JSON.stringify(require('./team').buildTeamExport(data, {
+        person: getOption('--person'),
+        includePrompts: args.includes('--include-prompts'),
+        projectNames: args.includes('--project-names'),
+      }))
+      : exportData(data, {
+        format: getOption('--format') || 'csv',
+        level: getOption('--level') || 'session',
+      });
+    if (out) {
+      require('fs').writeFileSync(out, body);
+      console.error(`Wrote ${out}`);
+    } else {
+      process.stdout.write(body);
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function runSnapshot() {
+  const out = getOption('--out');
+  if (!out) {
+    console.error('Error: Usage: claude-spend snapshot --out <file.html> [--since 30d] [--redact]');
+    process.exit(1);
+  }
+
+  try {
+    const filter = loadFilter(getSince());
+    const budgets = loadBudgets();
+    const plan = require('./plan').resolvePlan(require('./config').loadConfig(), getOption('--plan'));
+    const data = await parseSessions();
+    const html = require('./snapshot').buildSnapshot(data, { filter, budgets, plan });
+    require('fs').writeFileSync(out, html);
+    console.error(`Wrote ${out}`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
 }
 
-const app = createServer();
+async function runCheck() {
+  const { evaluateBudgets, describeBudget } = require('./budget');
+  const quiet = args.includes('--quiet');
 
-const server = app.listen(port, async () => {
-  const url = `http://localhost:${port}`;
-  console.log(`\n  claude-spend dashboard running at ${url}\n`);
+  try {
+    const budgets = loadBudgets();
+    if (budgets.length === 0) {
+      if (!quiet) console.log('No budgets configured. Add --budget month=$200 or a "budgets" list in ~/.claude-spend/config.json');
+      return;
+    }
+    const data = await parseSessions();
+    const results = evaluateBudgets(data, budgets);
+    if (!quiet) console.log(results.map(describeBudget).join('\n'));
+    if (results.some(b => b.status === 'exceeded')) process.exitCode = 1;
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(2);
+  }
+}
 
-  if (!noOpen) {
-    try {
-      const open = (await import('open')).default;
-      await open(url);
-    } catch {
-      console.log('  Could not auto-open browser. Open the URL manually.');
+async function runPlan() {
+  const { resolvePlan, buildPlanUsage, formatPlanReport } = require('./plan');
+
+  try {
+    const plan = resolvePlan(require('./config').loadConfig(), getOption('--plan'));
+    if (!plan) {
+      console.log('No plan configured. Use --plan pro|max5|max20 or set "plan" in ~/.claude-spend/config.json');
+      return;
     }
+    const data = await parseSessions();
+    console.log(formatPlanReport(buildPlanUsage(data, plan)));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function runCompare() {
+  const { comparePeriods, formatComparison } = require('./compare');
+
+  try {
+    const filter = loadFilter();
+    const data = await parseSessions();
+    const result = comparePeriods(data, {
+      current: getOption('--this') || 'week',
+      previous: getOption('--vs') || null,
+      filter,
+    });
+    console.log(formatComparison(result));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
   }
-});
+}
 
-server.on('error', (err) => {
-  if (err.code === 'EADDRINUSE') {
-    console.error(`Port ${port} is already in use. Try --port <other-port>`);
+async function runImport() {
+  const { importArchive } = require('./sources');
+  const archive = args[1] && !args[1].startsWith('-') ? args[1] : null;
+  if (!archive) {
+    console.error('Error: Usage: claude-spend import <archive.tar.gz|archive.zip> [--name <name>]');
     process.exit(1);
   }
-  throw err;
-});
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n  Shutting down...');
-  server.close();
-  process.exit(0);
-});
+  try {
+    const { name, dir, files } = await importArchive(archive, { name: getOption('--name') });
+    console.log(`Imported ${files} session file${files === 1 ? '' : 's'} as source "${name}" (${dir})`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function runSources() {
+  const { formatTable } = require('./report');
+  const remove = getOption('--remove');
+
+  try {
+    if (remove) {
+      require('./sources').removeImport(remove);
+      console.log(`Removed imported source "${remove}"`);
+      return;
+    }
+    const data = await parseSessions();
+    console.log(formatTable([
+      { key: 'name', header: 'Source' },
+      { key: 'kind', header: 'Type' },
+      { key: 'sessions', header: 'Sessions', align: 'right' },
+      { key: 'dir', header: 'Directory' },
+    ], data.sources));
+    if (data.duplicateFiles > 0) {
+      console.log(`\n${data.duplicateFiles} session file${data.duplicateFiles === 1 ? ' was' : 's were'} found in more than one source and counted once`);
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function runInsights() {
+  const { loadRules, markDismissed, setDismissed } = require('./insights');
+  const { formatTable } = require('./report');
+  const dismiss = getOption('--dismiss');
+  const restore = getOption('--restore');
+
+  try {
+    if (dismiss || restore) {
+      setDismissed(dismiss || restore, !!dismiss);
+      console.log(dismiss ? `Dismissed "${dismiss}"` : `Restored "${restore}"`);
+      return;
+    }
+    const rules = loadRules();
+    if (args.includes('--rules')) {
+      console.log(formatTable([
+        { key: 'id', header: 'Rule' },
+        { key: 'severity', header: 'Severity' },
+        { key: 'enabled', header: 'Enabled' },
+        { key: 'thresholds', header: 'Thresholds' },
+      ], rules.map(r => ({
+        id: r.custom ? `${r.id} (custom)` : r.id,
+        severity: r.severity,
+        enabled: r.enabled ? 'yes' : 'no',
+        thresholds: Object.entries(r.thresholds).map(([k, v]) => `${k}=${v}`).join(' ') || '-',
+      }))));
+      return;
+    }
+    const data = await parseSessions();
+    const insights = markDismissed(data.insights).filter(i => args.includes('--all') || !i.dismissed);
+    const hidden = data.insights.length - insights.length;
+    if (insights.length === 0) console.log('No insights for your usage yet');
+    for (const i of insights) {
+      console.log(`\n[${i.type}] ${i.title}${i.dismissed ? ' (dismissed)' : ''}`);
+      if (i.description) console.log(`  ${i.description}`);
+      if (i.action) console.log(`  -> ${i.action}`);
+      console.log(`  key: ${i.key}`);
+    }
+    if (hidden > 0) console.log(`\n${hidden} dismissed insight${hidden === 1 ? '' : 's'} hidden. Show with --all`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// The words after `search` up to the first option form the query, so it
+// needs no quotes unless it contains "phrases"
+async function runSearch() {
+  const { buildSearchIndex, search } = require('./search');
+  const { fmtCost } = require('./report');
+  const { fmt } = require('./parser');
+  const end = args.findIndex((arg, i) => i > 0 && arg.startsWith('--'));
+  const query = args.slice(1, end === -1 ? args.length : end).join(' ');
+  if (!query) {
+    console.error('Error: Usage: claude-spend search <query>, e.g. claude-spend search auth model:opus cost>2');
+    process.exit(1);
+  }
+
+  try {
+    const scope = loadFilter(getSince());
+    const data = await parseSessions();
+    const result = search(buildSearchIndex(data), query, {
+      sort: getOption('--sort') || 'relevance',
+      limit: getOption('--limit'),
+      scope,
+    });
+    if (result.total === 0) {
+      console.log('No prompts match');
+      return;
+    }
+    for (const r of result.results) {
+      console.log(`
+${r.date}  ${r.projectName}  ${r.models.map(m => m.replace(/^claude-/, '')).join(', ')}  ${fmtCost(r.cost)}  ${fmt(r.totalTokens)} tokens`);
+      console.log(`  ${r.snippet}`);
+      console.log(`  session ${r.sessionId}, prompt ${r.turn}`);
+    }
+    const more = result.total - result.results.length;
+    console.log(`
+${result.total} matching prompt${result.total === 1 ? '' : 's'}${more > 0 ? `, ${more} not shown. Raise --limit to see more` : ''}`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function getPort() {
+  const port = getOption('--port') !== undefined ? parseInt(getOption('--port'), 10) : 3456;
+  if (isNaN(port)) {
+    console.error('Error: --port must be a number');
+    process.exit(1);
+  }
+  return port;
+}
+
+// The address to listen on and, off localhost, the token every request needs
+function getAccess() {
+  const host = getOption('--host') || '127.0.0.1';
+  const loopback = ['127.0.0.1', 'localhost', '::1'].includes(host);
+  const token = getOption('--token') || (loopback ? null : require('crypto').randomBytes(18).toString('base64url'));
+  return { host, token };
+}
+
+function startDashboard() {
+  const { createServer } = require('./server');
+  const port = getPort();
+  const access = getAccess();
+
+  try {
+    loadBudgets();
+    require('./plan').resolvePlan(require('./config').loadConfig(), getOption('--plan'));
+    require('./timezone').resolveTimeZone(require('./config').loadConfig(), getOption('--timezone'));
+    require('./sources').resolveSources(getOptions('--claude-dir'));
+    require('./insights').loadRules();
+    require('./redact').resolveRedaction(require('./config').loadConfig(), getRedactFlag());
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const app = createServer({
+    budgetFlags: getOptions('--budget'),
+    planFlag: getOption('--plan'),
+    timeZoneFlag: getOption('--timezone'),
+    claudeDirFlags: getOptions('--claude-dir'),
+    redactFlag: getRedactFlag(),
+    token: access.token,
+  });
+  listen(app, port, 'dashboard', access);
+}
+
+function startTeamDashboard() {
+  const { createTeamServer } = require('./server');
+  const port = getPort();
+  const access = getAccess();
+  const teamDir = args[1] && !args[1].startsWith('-') ? args[1] : null;
+  if (!teamDir) {
+    console.error('Error: Usage: claude-spend team <directory of exports>');
+    process.exit(1);
+  }
+
+  let timeZone;
+  try {
+    timeZone = require('./timezone').resolveTimeZone(require('./config').loadConfig(), getOption('--timezone'));
+    const { exports, skipped } = require('./team').loadTeamExports(teamDir);
+    for (const s of skipped) console.log(`  Skipping ${s.file}: ${s.reason}`);
+    if (exports.length === 0) console.log(`  No exports in ${teamDir} yet. Add files made with claude-spend export --anonymize`);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  listen(createTeamServer({ teamDir, timeZone, token: access.token }), port, 'team dashboard', access);
+}
+
+function listen(app, port, label, { host, token }) {
+  const noOpen = args.includes('--no-open');
+  const server = app.listen(port, host, async () => {
+    const shown = ['0.0.0.0', '::', '127.0.0.1', '::1'].includes(host) ? 'localhost' : host;
+    const url = `http://${shown}:${port}` + (token ? `/?token=${encodeURIComponent(token)}` : '');
+    console.log(`\n  claude-spend ${label} running at ${url}\n`);
+    if (token) console.log(`  Listening on ${host}. Anyone who can reach this machine needs the token in that URL.\n`);
+
+    if (!noOpen) {
+      try {
+        const open = (await import('open')).default;
+        await open(url);
+      } catch {
+        console.log('  Could not auto-open browser. Open the URL manually.');
+      }
+    }
+  });
+
+  server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+      console.error(`Port ${port} is already in use. Try --port <other-port>`);
+      process.exit(1);
+    }
+    throw err;
+  });
+
+  // Graceful shutdown
+  process.on('SIGINT', () => {
+    console.log('\n  Shutting down...');
+    server.close();
+    process.exit(0);
+  });
+}
+
+if (command === 'report') {
+  runReport();
+} else if (command === 'export') {
+  runExport();
+} else if (command === 'snapshot') {
+  runSnapshot();
+} else if (command === 'check') {
+  runCheck();
+} else if (command === 'plan') {
+  runPlan();
+} else if (command === 'compare') {
+  runCompare();
+} else if (command === 'import') {
+  runImport();
+} else if (command === 'sources') {
+  runSources();
+} else if (command === 'insights') {
+  runInsights();
+} else if (command === 'search') {
+  runSearch();
+} else if (command === 'team') {
+  startTeamDashboard();
+} else if (command) {
+  console.error(`Unknown command "${command}". Run claude-spend --help for usage.`);
+  process.exit(1);
+} else {
+  startDashboard();
+}
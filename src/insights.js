@@ -0,0 +1,544 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { loadConfig, getDataDir, getConfigPath } = require('./config');
+const { contextTokens } = require('./context');
+const { weekdayOf } = require('./timezone');
+const { isHashed } = require('./redact');
+const { projectName } = require('./projects');
+
+// Insights come from a registry of rules. Each rule has an id, a severity
+// (shown as the card's type), named thresholds and evaluate(context, thresholds),
+// which returns { title, description, action, key } or null. Rules are tuned,
+// disabled or re-graded in ~/.claude-spend/config.json:
+//
+//   "insights": {
+//     "rules": { "model-mismatch": { "enabled": false },
+//                "vague-prompts": { "severity": "info", "thresholds": { "minTokens": 200000 } } },
+//     "customRules": ["rules.js", "rules.json"]
+//   }
+//
+// Custom rules are JS modules exporting rules in the same shape, or JSON files
+// of declarative rules (see compileJsonRule). Relative paths are resolved
+// against ~/.claude-spend.
+
+const SEVERITIES = ['anomaly', 'warning', 'info', 'neutral'];
+
+function fmt(n) {
+  if (n >= 1_000_000) return (n / 1_000_000).toFixed(1) + 'M';
+  if (n >= 10_000) return (n / 1_000).toFixed(0) + 'K';
+  if (n >= 1_000) return (n / 1_000).toFixed(1) + 'K';
+  return n.toLocaleString();
+}
+
+function fmtMinutes(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes} min`;
+}
+
+const BUILT_IN_RULES = [
+  // Days and conversations far above the user's own baseline (see forecast.js).
+  // Keyed by the worst one, so a new runaway shows again after a dismissal.
+  {
+    id: 'outliers',
+    severity: 'anomaly',
+    thresholds: {},
+    evaluate({ outliers }) {
+      if (outliers.days.length === 0 && outliers.sessions.length === 0) return null;
+      const times = r => (r ? `${r.toFixed(0)}x` : 'far above');
+      const dayText = outliers.days.slice(0, 3)
+        .map(d => `${d.date} cost $${d.cost.toFixed(2)} (${times(d.ratio)} your typical day of $${d.typical.toFixed(2)})`);
+      const sessionText = outliers.sessions.slice(0, 3)
+        .map(s => `"${s.firstPrompt.substring(0, 50)}" on ${s.date} cost $${s.cost.toFixed(2)} over ${s.queryCount} messages in ${fmtMinutes(s.durationMs)} (${times(s.ratio)} a typical conversation)`);
+      const top = outliers.days[0];
+      return {
+        key: top ? top.date : outliers.sessions[0].sessionId,
+        title: top
+          ? `${top.date} cost ${times(top.ratio)} your typical day`
+          : `A conversation cost ${times(outliers.sessions[0].ratio)} a typical one`,
+        description: [
+          dayText.length ? `Unusual days: ${dayText.join('; ')}.` : '',
+          sessionText.length ? `Unusual conversations: ${sessionText.join('; ')}.` : '',
+        ].filter(Boolean).join(' '),
+        action: 'Open the conversation and read its transcript for a loop: the same tool called over and over, a command that keeps failing, or a subagent that never finishes. A daily budget (--budget day=$20) makes claude-spend check flag the next one while it is happening.',
+      };
+    },
+  },
+
+  // Short, vague messages that cost a lot
+  {
+    id: 'vague-prompts',
+    severity: 'warning',
+    thresholds: { maxChars: 30, minTokens: 100_000 },
+    evaluate({ prompts }, t) {
+      // Fully redacted prompts are hashes, whose length says nothing
+      const shortExpensive = prompts.filter(p => p.prompt && !isHashed(p.prompt) && p.prompt.trim().length < t.maxChars && p.totalTokens > t.minTokens);
+      if (shortExpensive.length === 0) return null;
+      const totalWasted = shortExpensive.reduce((s, p) => s + p.totalTokens, 0);
+      const examples = [...new Set(shortExpensive.map(p => p.prompt.trim()))].slice(0, 4);
+      return {
+        title: 'Short, vague messages are costing you the most',
+        description: `${shortExpensive.length} times you sent a short message like ${examples.map(e => '"' + e + '"').join(', ')} -- and each message burned at least ${fmt(t.minTokens)} tokens just trying to figure out what you wanted. Across all ${shortExpensive.length} messages, that adds up to ${fmt(totalWasted)} tokens total -- spent re-reading your conversation, searching files, and making multiple attempts because the instruction was too vague.`,
+        action: 'Try being specific. Instead of "Yes", say "Yes, update the login page and run the tests." It gives Claude a clear target, so it finishes faster and uses fewer tokens.',
+      };
+    },
+  },
+
+  // Long conversations getting more expensive over time
+  {
+    id: 'context-growth',
+    severity: 'warning',
+    thresholds: { minMessages: 50, minGrowth: 2 },
+    evaluate({ sessions }, t) {
+      const growthData = sessions.filter(s => s.queries.length > t.minMessages).map(s => {
+        const first5 = s.queries.slice(0, 5).reduce((sum, q) => sum + q.totalTokens, 0) / Math.min(5, s.queries.length);
+        const last5 = s.queries.slice(-5).reduce((sum, q) => sum + q.totalTokens, 0) / Math.min(5, s.queries.length);
+        return { session: s, first5, last5, ratio: last5 / Math.max(first5, 1) };
+      }).filter(g => g.ratio > t.minGrowth);
+      if (growthData.length === 0) return null;
+
+      const avgGrowth = (growthData.reduce((s, g) => s + g.ratio, 0) / growthData.length).toFixed(1);
+      const worstSession = growthData.sort((a, b) => b.ratio - a.ratio)[0];
+      return {
+        title: 'The longer you chat, the more each message costs',
+        description: `In ${growthData.length} of your conversations, the messages near the end cost ${avgGrowth}x more than the ones at the start. Why? Every time you send a message, Claude re-reads the entire conversation from the beginning. So message #5 is cheap, but message #80 is expensive because Claude is re-reading 79 previous messages plus all the code it wrote. Your longest conversation ("${worstSession.session.firstPrompt.substring(0, 50)}...") grew ${worstSession.ratio.toFixed(1)}x more expensive by the end.`,
+        action: 'Start a fresh conversation when you move to a new task. If you need context from before, paste a short summary in your first message. This gives Claude a clean slate instead of re-reading hundreds of old messages.',
+      };
+    },
+  },
+
+  // Marathon conversations
+  {
+    id: 'marathon-sessions',
+    severity: 'info',
+    thresholds: { minMessages: 200, minSessions: 3 },
+    evaluate({ sessions, totals }, t) {
+      const turnCounts = sessions.map(s => s.queryCount).sort((a, b) => a - b);
+      const medianTurns = turnCounts[Math.floor(turnCounts.length / 2)] || 0;
+      const long = sessions.filter(s => s.queryCount > t.minMessages);
+      if (long.length < t.minSessions) return null;
+      const longTokens = long.reduce((s, ses) => s + ses.totalTokens, 0);
+      const longPct = ((longTokens / Math.max(totals.totalTokens, 1)) * 100).toFixed(0);
+      return {
+        title: `Just ${long.length} long conversations used ${longPct}% of all your tokens`,
+        description: `You have ${long.length} conversations with over ${t.minMessages} messages each. These alone consumed ${fmt(longTokens)} tokens -- that's ${longPct}% of everything. Meanwhile, your typical conversation is about ${medianTurns} messages. Long conversations aren't always bad, but they're disproportionately expensive because of how context builds up.`,
+        action: 'Try keeping one conversation per task. When a conversation starts drifting into different topics, that is a good time to start a new one.',
+      };
+    },
+  },
+
+  // Most tokens are re-reading, not writing
+  {
+    id: 'input-heavy',
+    severity: 'info',
+    thresholds: { maxOutputPct: 2 },
+    evaluate({ totals }, t) {
+      if (totals.totalTokens === 0) return null;
+      const outputPct = (totals.totalOutputTokens / totals.totalTokens) * 100;
+      if (outputPct >= t.maxOutputPct) return null;
+      return {
+        title: `${outputPct.toFixed(1)}% of your tokens are Claude actually writing`,
+        description: `Here's something surprising: out of ${fmt(totals.totalTokens)} total tokens, only ${fmt(totals.totalOutputTokens)} are from Claude writing responses. The other ${(100 - outputPct).toFixed(1)}% is Claude re-reading your conversation history, files, and context before each response. This means the biggest factor in token usage isn't how much Claude writes -- it's how long your conversations are.`,
+        action: 'Keeping conversations shorter has more impact than asking for shorter answers. A 20-message conversation costs far less than a 200-message one, even if the total output is similar.',
+      };
+    },
+  },
+
+  // Day-of-week pattern, from each query's local date
+  {
+    id: 'day-pattern',
+    severity: 'neutral',
+    thresholds: { minSessions: 10, minWeekdays: 3 },
+    evaluate({ sessions, dailyUsage }, t) {
+      if (sessions.length < t.minSessions) return null;
+      const dayOfWeekMap = {};
+      for (const d of dailyUsage) {
+        const day = weekdayOf(d.date);
+        if (!dayOfWeekMap[day]) dayOfWeekMap[day] = { tokens: 0, days: 0 };
+        dayOfWeekMap[day].tokens += d.totalTokens;
+        dayOfWeekMap[day].days += 1;
+      }
+      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+      const days = Object.entries(dayOfWeekMap).map(([d, v]) => ({ day: dayNames[d], ...v, avg: v.tokens / v.days }));
+      if (days.length < t.minWeekdays) return null;
+      days.sort((a, b) => b.avg - a.avg);
+      const busiest = days[0];
+      const quietest = days[days.length - 1];
+      return {
+        title: `You use Claude the most on ${busiest.day}s`,
+        description: `On the ${busiest.day}s you used Claude, you averaged ${fmt(Math.round(busiest.avg))} tokens, compared to ${fmt(Math.round(quietest.avg))} on ${quietest.day}s. This could mean you tackle bigger tasks on ${busiest.day}s, or your conversations tend to run longer.`,
+        action: null,
+      };
+    },
+  },
+
+  // Model mismatch -- Opus used for simple conversations
+  {
+    id: 'model-mismatch',
+    severity: 'warning',
+    thresholds: { maxMessages: 10, maxTokens: 200_000, minSessions: 3 },
+    evaluate({ sessions }, t) {
+      const simpleOpus = sessions.filter(s => s.model.includes('opus') && s.queryCount < t.maxMessages && s.totalTokens < t.maxTokens);
+      if (simpleOpus.length < t.minSessions) return null;
+      const wastedTokens = simpleOpus.reduce((s, ses) => s + ses.totalTokens, 0);
+      const examples = simpleOpus.slice(0, 3).map(s => '"' + s.firstPrompt.substring(0, 40) + '"').join(', ');
+      return {
+        title: `${simpleOpus.length} simple conversations used Opus unnecessarily`,
+        description: `These conversations had fewer than ${t.maxMessages} messages and used ${fmt(wastedTokens)} tokens on Opus: ${examples}. Opus is the most capable model but also the most expensive. For quick questions and small tasks, Sonnet or Haiku would give similar results at a fraction of the cost.`,
+        action: 'Use /model to switch to Sonnet or Haiku for simple tasks. Save Opus for complex multi-file changes, architecture decisions, or tricky debugging.',
+      };
+    },
+  },
+
+  // Tool-heavy conversations
+  {
+    id: 'tool-heavy',
+    severity: 'info',
+    thresholds: { minSessions: 5, toolCallsPerMessage: 3, minMatches: 3 },
+    evaluate({ sessions }, t) {
+      if (sessions.length < t.minSessions) return null;
+      const toolHeavy = sessions.filter(s => {
+        const userMessages = s.queries.filter(q => q.userPrompt).length;
+        const toolCalls = s.queryCount - userMessages;
+        return userMessages > 0 && toolCalls > userMessages * t.toolCallsPerMessage;
+      });
+      if (toolHeavy.length < t.minMatches) return null;
+      const totalToolTokens = toolHeavy.reduce((s, ses) => s + ses.totalTokens, 0);
+      const avgRatio = toolHeavy.reduce((s, ses) => {
+        const userMsgs = ses.queries.filter(q => q.userPrompt).length;
+        return s + (ses.queryCount - userMsgs) / Math.max(userMsgs, 1);
+      }, 0) / toolHeavy.length;
+      return {
+        title: `${toolHeavy.length} conversations had ${Math.round(avgRatio)}x more tool calls than messages`,
+        description: `In these conversations, Claude made ~${Math.round(avgRatio)} tool calls for every message you sent. Each tool call (reading files, running commands, searching code) is a full round trip that re-reads the entire conversation. These ${toolHeavy.length} conversations used ${fmt(totalToolTokens)} tokens total.`,
+        action: 'Point Claude to specific files and line numbers when you can. "Fix the bug in src/auth.js line 42" triggers fewer tool calls than "fix the login bug" where Claude has to search for the right file first.',
+      };
+    },
+  },
+
+  // One project dominates usage
+  {
+    id: 'project-dominance',
+    severity: 'info',
+    thresholds: { minSessions: 5, minSharePct: 60 },
+    evaluate({ sessions, totals }, t) {
+      if (sessions.length < t.minSessions) return null;
+      const projectTokens = {};
+      const names = {};
+      for (const s of sessions) {
+        const proj = s.project || 'unknown';
+        projectTokens[proj] = (projectTokens[proj] || 0) + s.totalTokens;
+        if (s.projectPath) names[proj] = projectName(s.projectPath);
+      }
+      const sorted = Object.entries(projectTokens).sort((a, b) => b[1] - a[1]);
+      if (sorted.length < 2) return null;
+      const [topProject, topTokens] = sorted[0];
+      const pct = ((topTokens / Math.max(totals.totalTokens, 1)) * 100).toFixed(0);
+      if (pct < t.minSharePct) return null;
+      const projName = names[topProject] || topProject;
+      return {
+        title: `${pct}% of your tokens went to one project: ${projName}`,
+        description: `Your "${projName}" project used ${fmt(topTokens)} tokens out of ${fmt(totals.totalTokens)} total. That is ${pct}% of all your usage. The next closest project used ${fmt(sorted[1][1])} tokens.`,
+        action: 'Not necessarily a problem, but worth knowing. If this project has long-running conversations, breaking them into smaller sessions could reduce its footprint.',
+      };
+    },
+  },
+
+  // Conversation efficiency -- short vs long conversations cost per message
+  {
+    id: 'conversation-efficiency',
+    severity: 'warning',
+    thresholds: { minSessions: 10, shortMaxMessages: 15, longMinMessages: 80, minRatio: 2 },
+    evaluate({ sessions }, t) {
+      if (sessions.length < t.minSessions) return null;
+      const shortSessions = sessions.filter(s => s.queryCount >= 3 && s.queryCount <= t.shortMaxMessages);
+      const longSessions = sessions.filter(s => s.queryCount > t.longMinMessages);
+      if (shortSessions.length < 3 || longSessions.length < 2) return null;
+      const shortAvg = Math.round(shortSessions.reduce((s, ses) => s + ses.totalTokens / ses.queryCount, 0) / shortSessions.length);
+      const longAvg = Math.round(longSessions.reduce((s, ses) => s + ses.totalTokens / ses.queryCount, 0) / longSessions.length);
+      const ratio = (longAvg / Math.max(shortAvg, 1)).toFixed(1);
+      if (ratio < t.minRatio) return null;
+      return {
+        title: `Each message costs ${ratio}x more in long conversations`,
+        description: `In your short conversations (under ${t.shortMaxMessages} messages), each message costs ~${fmt(shortAvg)} tokens. In your long ones (${t.longMinMessages}+ messages), each message costs ~${fmt(longAvg)} tokens. That is ${ratio}x more per message, because Claude re-reads the entire history every turn.`,
+        action: 'This is the single biggest lever for reducing token usage. Start fresh conversations more often. A 5-conversation workflow costs far less than one 500-message marathon.',
+      };
+    },
+  },
+
+  // Heavy context on first message (large CLAUDE.md or system prompts)
+  {
+    id: 'heavy-context',
+    severity: 'info',
+    thresholds: { minSessions: 5, minStartTokens: 50_000, minMatches: 5 },
+    evaluate({ sessions }, t) {
+      if (sessions.length < t.minSessions) return null;
+      const heavyStarts = sessions.filter(s => s.queries[0] && s.queries[0].inputTokens > t.minStartTokens);
+      if (heavyStarts.length < t.minMatches) return null;
+      const totalOverhead = heavyStarts.reduce((s, ses) => s + ses.queries[0].inputTokens, 0);
+      const avgStartTokens = Math.round(totalOverhead / heavyStarts.length);
+      return {
+        title: `${heavyStarts.length} conversations started with ${fmt(avgStartTokens)}+ tokens of context`,
+        description: `Before you even type your first message, Claude reads your CLAUDE.md, project files, and system context. In ${heavyStarts.length} conversations, this starting context averaged ${fmt(avgStartTokens)} tokens. Across all of them, that is ${fmt(totalOverhead)} tokens just on setup -- and this context gets re-read with every message.`,
+        action: 'Keep your CLAUDE.md files concise. Remove sections you rarely need. A smaller starting context compounds into savings across every message in the conversation.',
+      };
+    },
+  },
+
+  // Cache efficiency
+  {
+    id: 'cache-savings',
+    severity: 'info',
+    thresholds: {},
+    evaluate({ totals }) {
+      if (!(totals.totalCacheReadTokens > 0)) return null;
+      const saved = totals.totalSaved;
+      const hitRate = (totals.cacheHitRate * 100).toFixed(1);
+      const withoutCaching = totals.totalCost + saved;
+      return {
+        title: `Caching saved you an estimated $${saved.toFixed(2)}`,
+        description: `Your cache hit rate is ${hitRate}% -- meaning ${hitRate}% of all input tokens were served from cache at 10x lower cost. Without caching, your estimated API-equivalent bill would be $${withoutCaching.toFixed(2)} instead of $${totals.totalCost.toFixed(2)}. Cache reads happen when Claude re-reads parts of the conversation that haven't changed since the last turn.`,
+        action: 'Caching works best in longer conversations where context stays stable. Shorter sessions mean less cache reuse but also less context growth. The sweet spot is medium-length focused sessions on a single task.',
+      };
+    },
+  },
+
+  // Responses sent with a mostly full context window
+  {
+    id: 'full-context',
+    severity: 'warning',
+    thresholds: { fullPct: 60, minResponses: 10, minCostPct: 5 },
+    evaluate({ sessions, totals }, t) {
+      let fullCount = 0, fullCost = 0;
+      const fullSessions = new Set();
+      for (const s of sessions) {
+        for (const q of s.queries) {
+          if (q.agentId || contextTokens(q) < s.contextLimit * (t.fullPct / 100)) continue;
+          fullCount++;
+          fullCost += q.cost;
+          fullSessions.add(s.sessionId);
+        }
+      }
+      if (fullCount < t.minResponses || fullCost <= totals.totalCost * (t.minCostPct / 100)) return null;
+      const compactions = sessions.flatMap(s => s.compactions).filter(c => c.kind !== 'clear' && c.saved);
+      const avgSaved = compactions.length ? compactions.reduce((sum, c) => sum + c.saved, 0) / compactions.length : 0;
+      return {
+        title: `${fullCount} responses re-read a context window that was over ${t.fullPct}% full`,
+        description: `In ${fullSessions.size} conversations, Claude answered ${fullCount} times with more than ${t.fullPct}% of its context window already in use, costing $${fullCost.toFixed(2)}. Each of those responses re-read everything in the conversation so far.${compactions.length === 1 ? ` Your one compaction cut the context by ${fmt(Math.round(avgSaved))} tokens.` : ''}${compactions.length > 1 ? ` Your ${compactions.length} compactions cut the context by ${fmt(Math.round(avgSaved))} tokens on average.` : ''} The context chart in each conversation's details shows where it filled up.`,
+        action: 'Run /compact when you finish a step but want to keep going, or /clear when you switch tasks. Compacting early keeps every following message cheaper, instead of waiting for Claude Code to compact on its own at the limit.',
+      };
+    },
+  },
+];
+
+// Declarative rules for JSON files. Each item in `scope` (session, prompt or
+// day) is matched against `where`: a number or true/false must be equal, a
+// string like ">5", "<=200K" compares numbers, any other string is a
+// case-insensitive substring. {count}, {cost}, {tokens} and {examples} in the
+// texts are filled in from the matches. `where` entries and minMatches are the
+// rule's thresholds, so config.json can retune them.
+//
+//   { "id": "opus-over-5", "severity": "warning", "scope": "session",
+//     "where": { "model": "opus", "cost": ">5" },
+//     "title": "{count} Opus conversations cost over $5",
+//     "description": "{examples}", "action": "Try Sonnet first" }
+const JSON_SCOPES = {
+  session: { items: c => c.sessions, id: s => s.sessionId, label: s => s.firstPrompt.substring(0, 50) },
+  prompt: { items: c => c.prompts, id: p => `${p.sessionId}:${p.turn}`, label: p => (p.prompt || '(no text)').trim().substring(0, 50) },
+  day: { items: c => c.dailyUsage, id: d => d.date, label: d => d.date },
+};
+const COMPARISON = /^(>=|<=|!=|>|<|=)\s*(-?\d+(?:\.\d+)?)\s*([kKmM]?)$/;
+
+function conditionMatches(value, condition) {
+  if (typeof condition === 'number' || typeof condition === 'boolean') return value === condition;
+  const m = String(condition).trim().match(COMPARISON);
+  if (m) {
+    if (typeof value !== 'number') return false;
+    const limit = parseFloat(m[2]) * ({ k: 1e3, m: 1e6 }[m[3].toLowerCase()] || 1);
+    return { '>': value > limit, '>=': value >= limit, '<': value < limit, '<=': value <= limit, '=': value === limit, '!=': value !== limit }[m[1]];
+  }
+  return value !== undefined && value !== null && String(value).toLowerCase().includes(String(condition).toLowerCase());
+}
+
+function compileJsonRule(spec, file) {
+  const scope = JSON_SCOPES[spec.scope || 'session'];
+  if (!scope) throw new Error(`${file}: rule "${spec.id}" has an unknown scope "${spec.scope}". Use session, prompt or day`);
+  if (!spec.title) throw new Error(`${file}: rule "${spec.id}" needs a title`);
+  return {
+    id: spec.id,
+    severity: spec.severity || 'info',
+    thresholds: { ...spec.where, minMatches: spec.minMatches || 1 },
+    evaluate(context, t) {
+      const { minMatches, ...where } = t;
+      const matches = scope.items(context).filter(item => Object.entries(where).every(([field, cond]) => conditionMatches(item[field], cond)));
+      if (matches.length < minMatches) return null;
+      const fill = text => text && text
+        .replace(/\{count\}/g, matches.length)
+        .replace(/\{cost\}/g, '$' + matches.reduce((s, m) => s + (m.cost || 0), 0).toFixed(2))
+        .replace(/\{tokens\}/g, fmt(matches.reduce((s, m) => s + (m.totalTokens || 0), 0)))
+        .replace(/\{examples\}/g, matches.slice(0, 3).map(m => `"${scope.label(m)}"`).join(', '));
+      return {
+        // A new match shows the insight again after it was dismissed
+        key: crypto.createHash('sha1').update(matches.map(scope.id).sort().join('\n')).digest('hex').slice(0, 12),
+        title: fill(spec.title),
+        description: fill(spec.description || ''),
+        action: fill(spec.action || null),
+      };
+    },
+  };
+}
+
+function resolvePath(file) {
+  if (file.startsWith('~/')) return path.join(os.homedir(), file.slice(2));
+  return path.resolve(getDataDir(), file);
+}
+
+function loadCustomRules(files) {
+  const rules = [];
+  for (const file of files) {
+    const fullPath = resolvePath(file);
+    if (!fs.existsSync(fullPath)) throw new Error(`Could not load insight rules from ${fullPath}: no such file`);
+    let specs;
+    try {
+      if (fullPath.endsWith('.json')) {
+        specs = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+      } else {
+        // Re-required on every load, so edits apply without a restart
+        delete require.cache[require.resolve(fullPath)];
+        specs = require(fullPath);
+      }
+    } catch (err) {
+      throw new Error(`Could not load insight rules from ${fullPath}: ${err.message}`);
+    }
+    for (const spec of Array.isArray(specs) ? specs : [specs]) {
+      if (!spec || typeof spec.id !== 'string') throw new Error(`${fullPath}: every rule needs an "id"`);
+      if (typeof spec.evaluate === 'function') {
+        rules.push({ thresholds: {}, severity: 'info', ...spec, custom: true });
+      } else if (fullPath.endsWith('.json')) {
+        rules.push({ ...compileJsonRule(spec, fullPath), custom: true });
+      } else {
+        throw new Error(`${fullPath}: rule "${spec.id}" needs an evaluate(context, thresholds) function`);
+      }
+    }
+  }
+  return rules;
+}
+
+// Built-in and custom rules with config.json overrides applied. Throws on
+// unknown rule ids, unknown thresholds and bad severities, so a typo in the
+// config is reported rather than silently ignored.
+function loadRules(config = loadConfig()) {
+  const settings = config.insights || {};
+  const customFiles = settings.customRules ? [].concat(settings.customRules) : [];
+  const rules = [...BUILT_IN_RULES, ...loadCustomRules(customFiles)];
+
+  const ids = new Set();
+  for (const rule of rules) {
+    if (ids.has(rule.id)) throw new Error(`Two insight rules have the id "${rule.id}"`);
+    ids.add(rule.id);
+  }
+  const overrides = settings.rules || {};
+  for (const id of Object.keys(overrides)) {
+    if (!ids.has(id)) throw new Error(`Unknown insight rule "${id}" in config.json. Run claude-spend insights --rules to list them`);
+  }
+
+  return rules.map(rule => {
+    const override = overrides[rule.id] || {};
+    const severity = override.severity || rule.severity;
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Insight rule "${rule.id}": severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+    const thresholds = { ...rule.thresholds };
+    for (const [name, value] of Object.entries(override.thresholds || {})) {
+      if (!(name in rule.thresholds)) {
+        const known = Object.keys(rule.thresholds);
+        throw new Error(`Insight rule "${rule.id}" has no threshold "${name}"${known.length ? ` (it has ${known.join(', ')})` : ''}`);
+      }
+      if (typeof rule.thresholds[name] === 'number' && typeof value !== 'number') {
+        throw new Error(`Insight rule "${rule.id}": threshold "${name}" must be a number`);
+      }
+      thresholds[name] = value;
+    }
+    return { ...rule, enabled: override.enabled !== false, severity, thresholds };
+  });
+}
+
+// loadRules() for generateInsights, which runs on every summary (each parse
+// and each filtered dashboard view). Reused until config.json or one of the
+// custom rule files changes on disk.
+let rulesCache = null;
+
+function fileStamp(files) {
+  return files.map(file => {
+    try {
+      return fs.statSync(file).mtimeMs;
+    } catch {
+      return 0;
+    }
+  }).join(',');
+}
+
+function currentRules() {
+  if (rulesCache && fileStamp(rulesCache.files) === rulesCache.stamp) return rulesCache.rules;
+  const config = loadConfig();
+  const customRules = config.insights?.customRules;
+  const files = [getConfigPath(), ...(customRules ? [].concat(customRules).map(resolvePath) : [])];
+  const stamp = fileStamp(files);
+  rulesCache = { files, stamp, rules: loadRules(config) };
+  return rulesCache.rules;
+}
+
+// Runs every enabled rule, most severe first. A custom rule that throws shows
+// up as a warning instead of taking the other insights down with it.
+function generateInsights(context, rules = currentRules()) {
+  const insights = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    let result;
+    try {
+      result = rule.evaluate({ ...context, fmt }, rule.thresholds);
+    } catch (err) {
+      insights.push({ id: rule.id, key: `${rule.id}:error`, type: 'warning', title: `Insight rule "${rule.id}" failed`, description: err.message, action: null });
+      continue;
+    }
+    if (!result) continue;
+    insights.push({
+      id: rule.id,
+      key: result.key ? `${rule.id}:${result.key}` : rule.id,
+      type: rule.severity,
+      title: result.title,
+      description: result.description,
+      action: result.action || null,
+    });
+  }
+  return insights.sort((a, b) => SEVERITIES.indexOf(a.type) - SEVERITIES.indexOf(b.type));
+}
+
+// Dismissed insights, by key, in ~/.claude-spend/dismissed.json
+function getDismissedPath() {
+  return path.join(getDataDir(), 'dismissed.json');
+}
+
+function loadDismissed() {
+  try {
+    return JSON.parse(fs.readFileSync(getDismissedPath(), 'utf-8')).dismissed || {};
+  } catch {
+    return {};
+  }
+}
+
+function setDismissed(key, dismissed) {
+  const all = loadDismissed();
+  if (dismissed) all[key] = new Date().toISOString();
+  else delete all[key];
+  fs.mkdirSync(getDataDir(), { recursive: true });
+  fs.writeFileSync(getDismissedPath(), JSON.stringify({ dismissed: all }, null, 2));
+}
+
+function markDismissed(insights) {
+  const dismissed = loadDismissed();
+  return insights.map(i => ({ ...i, dismissed: !!dismissed[i.key] }));
+}
+
+module.exports = { generateInsights, loadRules, markDismissed, setDismissed, fmt, SEVERITIES };
@@ -1,48 +1,18 @@
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const readline = require('readline');
-
-// Anthropic API pricing per token (from platform.claude.com/docs/en/about-claude/pricing)
-// Note: These are API-equivalent estimates. Claude Code subscription pricing differs.
-// Cache write = 1.25x base input (5-min TTL). Cache read = 0.1x base input.
-const MODEL_PRICING = {
-  // Opus 4.5, 4.6: $5/MTok in, $25/MTok out
-  'opus-4.5': { input: 5 / 1e6, output: 25 / 1e6, cacheWrite: 6.25 / 1e6, cacheRead: 0.50 / 1e6 },
-  'opus-4.6': { input: 5 / 1e6, output: 25 / 1e6, cacheWrite: 6.25 / 1e6, cacheRead: 0.50 / 1e6 },
-  // Opus 4.0, 4.1: $15/MTok in, $75/MTok out
-  'opus-4.0': { input: 15 / 1e6, output: 75 / 1e6, cacheWrite: 18.75 / 1e6, cacheRead: 1.50 / 1e6 },
-  'opus-4.1': { input: 15 / 1e6, output: 75 / 1e6, cacheWrite: 18.75 / 1e6, cacheRead: 1.50 / 1e6 },
-  // Sonnet 3.7, 4, 4.5, 4.6: $3/MTok in, $15/MTok out
-  sonnet: { input: 3 / 1e6, output: 15 / 1e6, cacheWrite: 3.75 / 1e6, cacheRead: 0.30 / 1e6 },
-  // Haiku 4.5: $1/MTok in, $5/MTok out
-  'haiku-4.5': { input: 1 / 1e6, output: 5 / 1e6, cacheWrite: 1.25 / 1e6, cacheRead: 0.10 / 1e6 },
-  // Haiku 3.5: $0.80/MTok in, $4/MTok out
-  'haiku-3.5': { input: 0.80 / 1e6, output: 4 / 1e6, cacheWrite: 1.00 / 1e6, cacheRead: 0.08 / 1e6 },
-};
-const DEFAULT_PRICING = MODEL_PRICING.sonnet;
-
-function getPricing(model) {
-  if (!model) return DEFAULT_PRICING;
-  const m = model.toLowerCase();
-  if (m.includes('opus')) {
-    // Opus 4.5/4.6 are cheaper than Opus 4.0/4.1
-    if (m.includes('4-6') || m.includes('4.6')) return MODEL_PRICING['opus-4.6'];
-    if (m.includes('4-5') || m.includes('4.5')) return MODEL_PRICING['opus-4.5'];
-    if (m.includes('4-1') || m.includes('4.1')) return MODEL_PRICING['opus-4.1'];
-    return MODEL_PRICING['opus-4.0']; // Opus 4.0 and Opus 3
-  }
-  if (m.includes('sonnet')) return MODEL_PRICING.sonnet;
-  if (m.includes('haiku')) {
-    if (m.includes('4-5') || m.includes('4.5')) return MODEL_PRICING['haiku-4.5'];
-    return MODEL_PRICING['haiku-3.5'];
-  }
-  return DEFAULT_PRICING;
-}
-
-function getClaudeDir() {
-  return path.join(os.homedir(), '.claude');
-}
+const { loadCache, saveCache } = require('./cache');
+const { buildSessionTree, TASK_TOOLS } = require('./subagents');
+const { loadPricing, priceQuery } = require('./pricing');
+const { projectName, resolveProjectPath } = require('./projects');
+const { buildToolBreakdown } = require('./tools');
+const { resolveTimeZone, createCalendar, weekdayOf } = require('./timezone');
+const { loadConfig } = require('./config');
+const { recordCompaction, summarizeContext } = require('./context');
+const { forecastMonth, findOutliers } = require('./forecast');
+const { resolveSources, collectSessionFiles } = require('./sources');
+const { generateInsights, fmt } = require('./insights');
+const { resolveRedaction, redactSession, redactText } = require('./redact');
 
 async function parseJSONLFile(filePath) {
   const lines = [];
@@ -60,26 +30,146 @@ async function parseJSONLFile(filePath) {
   return lines;
 }
 
-function extractSessionData(entries) {
-  const queries = [];
-  let pendingUserMessage = null;
+// Reads complete JSONL lines starting at a byte offset. Returns the offset just
+// past the last complete line, so a half-written trailing line is re-read next time.
+async function readJSONLFrom(filePath, start = 0) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (size <= start) return { entries: [], offset: size < start ? 0 : start, size };
+
+    const buffer = Buffer.alloc(size - start);
+    await handle.read(buffer, 0, buffer.length, start);
+
+    const entries = [];
+    let consumed = 0;
+    let lineStart = 0;
+    while (lineStart < buffer.length) {
+      let lineEnd = buffer.indexOf(0x0a, lineStart);
+      const complete = lineEnd !== -1;
+      if (!complete) lineEnd = buffer.length;
+      const line = buffer.toString('utf-8', lineStart, lineEnd).trim();
+      if (line) {
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // An unterminated line may still be mid-write; retry it next time
+          if (!complete) break;
+        }
+      }
+      consumed = complete ? lineEnd + 1 : lineEnd;
+      lineStart = lineEnd + 1;
+    }
+    return { entries, offset: start + consumed, size };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Parser state is plain JSON so it can be cached and resumed when a file grows
+function createSessionState() {
+  return {
+    queries: [],
+    // The message the user typed that current responses answer, and how many
+    // such messages (turns) the session has had
+    pendingUserMessage: null,
+    turnCount: 0,
+    firstTimestamp: null,
+    // API response id -> index into queries, for collapsing streamed duplicates
+    responseIndex: {},
+    // tool_use id -> the query that made the call and the tool's name
+    toolUseIds: {},
+    duplicateEntries: 0,
+    sessionId: null,
+    // Working directory the session started in, i.e. the real project path
+    cwd: null,
+    // Subagent transcript files are sidechains from their first entry on
+    sidechainFile: null,
+    agentId: null,
+    pendingSidechainMessage: null,
+    // Task tool_use id -> what it asked for and which query issued it
+    taskCalls: {},
+    // /compact, auto-compactions and /clear, at the query count they happened
+    compactions: [],
+  };
+}
+
+// Claude Code writes one line per content block of an API response, each
+// repeating that response's usage. Lines sharing a message id (or request id)
+// are one API call, so its usage is counted once and its tool_use blocks merged.
+function responseKey(entry) {
+  return entry.message.id || entry.requestId || null;
+}
+
+// Characters of text a tool_result put back into the context
+function toolResultSize(content) {
+  if (typeof content === 'string') return content.length;
+  if (!Array.isArray(content)) return 0;
+  return content.reduce((sum, b) => sum + (b.type === 'text' && b.text ? b.text.length : 0), 0);
+}
+
+function extractSessionData(entries, state = createSessionState()) {
+  const queries = state.queries;
 
   for (const entry of entries) {
+    if (!state.firstTimestamp && entry.timestamp) state.firstTimestamp = entry.timestamp;
+    if (!state.sessionId && entry.sessionId) state.sessionId = entry.sessionId;
+    if (!state.cwd && entry.cwd) state.cwd = entry.cwd;
+    if (state.sidechainFile === null && (entry.type === 'user' || entry.type === 'assistant')) {
+      state.sidechainFile = !!entry.isSidechain;
+    }
+    if (state.sidechainFile && !state.agentId && entry.agentId) state.agentId = entry.agentId;
+    // Subagent turns written into the parent session's own file
+    const inlineSidechain = !!entry.isSidechain && !state.sidechainFile;
+
+    if (entry.type === 'system' && entry.subtype === 'compact_boundary' && !inlineSidechain) {
+      const meta = entry.compactMetadata || {};
+      recordCompaction(state, entry, meta.trigger === 'auto' ? 'auto' : 'manual', { preTokens: meta.preTokens, fromBoundary: true });
+      continue;
+    }
+
     if (entry.type === 'user' && entry.message?.role === 'user') {
       const content = entry.message.content;
       if (entry.isMeta) continue;
+      if (entry.isCompactSummary && !inlineSidechain) recordCompaction(state, entry, 'auto');
+      if (Array.isArray(content)) {
+        for (const block of content) {
+          if (block.type !== 'tool_result') continue;
+          const call = state.toolUseIds[block.tool_use_id];
+          if (call) {
+            const sizes = queries[call.query].toolResultChars;
+            sizes[call.name] = (sizes[call.name] || 0) + toolResultSize(block.content);
+          }
+          const taskCall = entry.toolUseResult?.agentId && state.taskCalls[block.tool_use_id];
+          if (taskCall) taskCall.agentId = entry.toolUseResult.agentId;
+        }
+      }
       if (typeof content === 'string' && (
         content.startsWith('<local-command') ||
-        content.startsWith('<command-name')
-      )) continue;
+        content.startsWith('<command-name') ||
+        content.startsWith('<command-message')
+      )) {
+        const command = content.match(/<command-name>\/?(compact|clear)<\/command-name>/);
+        if (command && !inlineSidechain) recordCompaction(state, entry, command[1] === 'clear' ? 'clear' : 'manual');
+        continue;
+      }
+      // Tool results and compaction summaries are part of the turn in progress
+      if (entry.isCompactSummary) continue;
+      if (Array.isArray(content) && content.every(b => b.type === 'tool_result')) continue;
 
       const textContent = typeof content === 'string'
         ? content
         : content.filter(b => b.type === 'text').map(b => b.text).join('\n').trim();
-      pendingUserMessage = {
+      const message = {
         text: textContent || null,
         timestamp: entry.timestamp,
       };
+      if (inlineSidechain) {
+        state.pendingSidechainMessage = message;
+      } else {
+        state.turnCount += 1;
+        state.pendingUserMessage = { ...message, turn: state.turnCount };
+      }
     }
 
     if (entry.type === 'assistant' && entry.message?.usage) {
@@ -87,309 +177,408 @@ function extractSessionData(entries) {
       const model = entry.message.model || 'unknown';
       if (model === '<synthetic>') continue;
 
-      const pricing = getPricing(model);
-      const inputTokens = usage.input_tokens || 0;
-      const cacheCreationTokens = usage.cache_creation_input_tokens || 0;
-      const cacheReadTokens = usage.cache_read_input_tokens || 0;
-      const outputTokens = usage.output_tokens || 0;
-      const totalTokens = inputTokens + cacheCreationTokens + cacheReadTokens + outputTokens;
-      const cost = (inputTokens * pricing.input)
-        + (cacheCreationTokens * pricing.cacheWrite)
-        + (cacheReadTokens * pricing.cacheRead)
-        + (outputTokens * pricing.output);
-
-      const tools = [];
+      const tokens = {
+        inputTokens: usage.input_tokens || 0,
+        cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+        cacheReadTokens: usage.cache_read_input_tokens || 0,
+        outputTokens: usage.output_tokens || 0,
+        // 1-hour cache writes are billed higher than the default 5-minute ones
+        cacheWrite1hTokens: usage.cache_creation?.ephemeral_1h_input_tokens || 0,
+      };
+
+      const key = responseKey(entry);
+      const existing = key ? state.responseIndex[key] : undefined;
+
+      const toolNames = [];
       if (Array.isArray(entry.message.content)) {
         for (const block of entry.message.content) {
-          if (block.type === 'tool_use' && block.name) tools.push(block.name);
+          if (block.type !== 'tool_use' || !block.name) continue;
+          if (block.id) {
+            if (state.toolUseIds[block.id]) continue;
+            state.toolUseIds[block.id] = { query: existing !== undefined ? existing : queries.length, name: block.name };
+          }
+          toolNames.push(block.name);
+          if (TASK_TOOLS.includes(block.name) && block.id) {
+            state.taskCalls[block.id] = {
+              queryIndex: existing !== undefined ? existing : queries.length,
+              description: block.input?.description || null,
+              subagentType: block.input?.subagent_type || null,
+              prompt: (block.input?.prompt || '').trim().substring(0, 500),
+              agentId: null,
+            };
+          }
         }
       }
 
-      queries.push({
-        userPrompt: pendingUserMessage?.text || null,
-        userTimestamp: pendingUserMessage?.timestamp || null,
+      if (existing !== undefined) {
+        // Later blocks of a streamed response can carry a larger output count
+        const q = queries[existing];
+        for (const field of Object.keys(tokens)) q[field] = Math.max(q[field], tokens[field]);
+        q.totalTokens = q.inputTokens + q.cacheCreationTokens + q.cacheReadTokens + q.outputTokens;
+        q.tools.push(...toolNames);
+        state.duplicateEntries += 1;
+        continue;
+      }
+
+      const pending = inlineSidechain ? state.pendingSidechainMessage : state.pendingUserMessage;
+      const q = {
+        // The prompt is kept on the turn's first response only
+        userPrompt: pending && !pending.answered ? pending.text : null,
+        userTimestamp: pending?.timestamp || null,
+        // Inline subagents work within the main thread's turn
+        turn: state.pendingUserMessage?.turn || 0,
         assistantTimestamp: entry.timestamp,
         model,
-        inputTokens,
-        cacheCreationTokens,
-        cacheReadTokens,
-        outputTokens,
-        totalTokens,
-        cost,
-        tools,
-      });
+        ...tokens,
+        totalTokens: tokens.inputTokens + tokens.cacheCreationTokens + tokens.cacheReadTokens + tokens.outputTokens,
+        serviceTier: usage.service_tier || 'standard',
+        // Priced in parseAllSessions, so pricing edits apply to cached sessions too
+        cost: 0,
+        tools: toolNames,
+        // Tool name -> characters its results added to the context
+        toolResultChars: {},
+      };
+      if (inlineSidechain) q.agentId = entry.agentId || 'sidechain';
+      if (pending) pending.answered = true;
+      if (key) state.responseIndex[key] = queries.length;
+      queries.push(q);
     }
   }
 
-  return queries;
+  return state;
 }
 
-async function parseAllSessions() {
-  const claudeDir = getClaudeDir();
-  const projectsDir = path.join(claudeDir, 'projects');
+// Reuses cached state for unchanged files and only parses bytes appended since
+// the last run. Files that shrank (rewritten or truncated) are parsed from scratch.
+// A resumed parse works on a copy: the cached entry stays as it was on disk,
+// so a second parse of the same file never replays the appended lines twice.
+async function parseSessionFile(filePath, cached) {
+  const stat = await fs.promises.stat(filePath);
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) return cached;
+
+  const resume = cached && stat.size >= cached.offset;
+  const state = resume ? structuredClone(cached.state) : createSessionState();
+  const { entries, offset, size } = await readJSONLFrom(filePath, resume ? cached.offset : 0);
+  extractSessionData(entries, state);
+  return { size, mtimeMs: stat.mtimeMs, offset, state };
+}
 
-  if (!fs.existsSync(projectsDir)) {
-    return { sessions: [], dailyUsage: [], modelBreakdown: [], topPrompts: [], totals: {} };
+// Session-level totals and primary model for a list of queries
+function sumQueries(queries) {
+  let inputTokens = 0, outputTokens = 0, cacheCreationTokens = 0, cacheReadTokens = 0, cost = 0;
+  const modelCounts = {};
+  for (const q of queries) {
+    inputTokens += q.inputTokens;
+    outputTokens += q.outputTokens;
+    cacheCreationTokens += q.cacheCreationTokens;
+    cacheReadTokens += q.cacheReadTokens;
+    cost += q.cost;
+    modelCounts[q.model] = (modelCounts[q.model] || 0) + 1;
   }
+  return {
+    model: Object.entries(modelCounts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'unknown',
+    queryCount: queries.length,
+    inputTokens,
+    outputTokens,
+    cacheCreationTokens,
+    cacheReadTokens,
+    totalTokens: inputTokens + cacheCreationTokens + cacheReadTokens + outputTokens,
+    cost,
+  };
+}
 
-  // Read history.jsonl for prompt display text
-  const historyPath = path.join(claudeDir, 'history.jsonl');
-  const historyEntries = fs.existsSync(historyPath) ? await parseJSONLFile(historyPath) : [];
-
-  // Build a map: sessionId -> first meaningful prompt
-  const sessionFirstPrompt = {};
-  for (const entry of historyEntries) {
-    if (entry.sessionId && entry.display && !sessionFirstPrompt[entry.sessionId]) {
-      const display = entry.display.trim();
-      if (display.startsWith('/') && display.length < 30) continue;
-      sessionFirstPrompt[entry.sessionId] = display;
+// One entry per user turn: the message the user typed and every API call made
+// answering it, through its tool rounds and subagents to the final reply.
+// Responses from before the session's first message (turn 0) are left out.
+function groupTurns(queries) {
+  const byTurn = new Map();
+  for (const q of queries) {
+    if (!q.turn) continue;
+    let t = byTurn.get(q.turn);
+    if (!t) {
+      t = {
+        turn: q.turn,
+        prompt: null,
+        timestamp: q.userTimestamp || q.assistantTimestamp,
+        endTimestamp: q.assistantTimestamp,
+        date: q.date,
+        queryCount: 0,
+        // Main-thread responses that called tools, each followed by a round trip
+        toolRounds: 0,
+        subagentQueries: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationTokens: 0,
+        cacheReadTokens: 0,
+        totalTokens: 0,
+        cost: 0,
+        toolCounts: {},
+        modelMix: {},
+      };
+      byTurn.set(q.turn, t);
     }
+    if (!q.agentId && q.userPrompt && t.prompt === null) t.prompt = q.userPrompt;
+    if (q.assistantTimestamp > t.endTimestamp) t.endTimestamp = q.assistantTimestamp;
+    t.queryCount += 1;
+    if (q.agentId) t.subagentQueries += 1;
+    else if (q.tools.length > 0) t.toolRounds += 1;
+    t.inputTokens += q.inputTokens;
+    t.outputTokens += q.outputTokens;
+    t.cacheCreationTokens += q.cacheCreationTokens;
+    t.cacheReadTokens += q.cacheReadTokens;
+    t.totalTokens += q.totalTokens;
+    t.cost += q.cost;
+    if (!t.modelMix[q.model]) t.modelMix[q.model] = { model: q.model, queryCount: 0, totalTokens: 0, cost: 0 };
+    const m = t.modelMix[q.model];
+    m.queryCount += 1;
+    m.totalTokens += q.totalTokens;
+    m.cost += q.cost;
+    for (const tool of q.tools) t.toolCounts[tool] = (t.toolCounts[tool] || 0) + 1;
   }
-
-  const projectDirs = fs.readdirSync(projectsDir).filter(d => {
-    try {
-      return fs.statSync(path.join(projectsDir, d)).isDirectory();
-    } catch {
-      return false;
-    }
+  return [...byTurn.values()].filter(t => t.totalTokens > 0).map(({ modelMix, ...t }) => {
+    const models = Object.values(modelMix).sort((a, b) => b.cost - a.cost || b.queryCount - a.queryCount);
+    return {
+      ...t,
+      durationMs: Math.max(0, Date.parse(t.endTimestamp) - Date.parse(t.timestamp)) || 0,
+      // The model that answered most of the turn's API calls, and the full mix
+      model: [...models].sort((a, b) => b.queryCount - a.queryCount)[0].model,
+      models,
+    };
   });
+}
 
-  const sessions = [];
-  const dailyMap = {};
-  const modelMap = {};
-  const allPrompts = []; // for "most expensive prompts" across all sessions
+// claudeDirs are --claude-dir values (see sources.js) and redact a --redact
+// mode (see redact.js). The cache keeps prompts as parsed; redaction applies
+// to what is returned.
+async function parseAllSessions({ useCache = true, pricing = loadPricing(), timeZone, claudeDirs = [], redact } = {}) {
+  const redaction = resolveRedaction(loadConfig(), redact);
+  const calendar = createCalendar(resolveTimeZone(loadConfig(), timeZone));
+  const sources = resolveSources(claudeDirs);
+  const { projects: projectFiles, duplicates } = collectSessionFiles(sources);
+
+  if (projectFiles.size === 0) {
+    return { sessions: [], dailyUsage: [], hourlyUsage: [], weekdayHourly: emptyWeekdayHourly(), modelBreakdown: [], projectBreakdown: [], toolBreakdown: { tools: [], mcpServers: [] }, projects: [], models: [], sources: describeSources(sources, []), duplicateFiles: 0, turns: [], totals: {}, redaction };
+  }
 
-  for (const projectDir of projectDirs) {
-    const dir = path.join(projectsDir, projectDir);
-    let files;
-    try {
-      files = fs.readdirSync(dir).filter(f => f.endsWith('.jsonl'));
-    } catch {
-      continue; // Skip directories we can't read
+  // Build a map: sessionId -> first meaningful prompt, from each source's history.jsonl
+  const sessionFirstPrompt = {};
+  for (const source of sources) {
+    const historyPath = path.join(source.dir, 'history.jsonl');
+    const historyEntries = fs.existsSync(historyPath) ? await parseJSONLFile(historyPath) : [];
+    for (const entry of historyEntries) {
+      if (entry.sessionId && entry.display && !sessionFirstPrompt[entry.sessionId]) {
+        const display = entry.display.trim();
+        if (display.startsWith('/') && display.length < 30) continue;
+        sessionFirstPrompt[entry.sessionId] = display;
+      }
     }
+  }
 
-    for (const file of files) {
-      const filePath = path.join(dir, file);
-      const sessionId = path.basename(file, '.jsonl');
+  const cache = useCache ? loadCache() : null;
+  const nextCacheFiles = {};
+
+  const sessions = [];
 
-      let entries;
+  for (const [projectDir, files] of projectFiles) {
+    const parseFile = async (filePath) => {
       try {
-        entries = await parseJSONLFile(filePath);
+        const parsed = await parseSessionFile(filePath, cache?.files[filePath]);
+        nextCacheFiles[filePath] = parsed;
+        for (const q of parsed.state.queries) {
+          priceQuery(q, pricing);
+          // Local date and hour of the response, so each query counts on the day it happened
+          const local = calendar.parts(q.assistantTimestamp);
+          q.date = local ? local.date : 'unknown';
+          q.hour = local ? local.hour : null;
+        }
+        return parsed.state;
       } catch {
-        continue;
+        return null;
       }
-      if (entries.length === 0) continue;
-
-      const queries = extractSessionData(entries);
-      if (queries.length === 0) continue;
+    };
 
-      let inputTokens = 0, outputTokens = 0, cacheCreationTokens = 0, cacheReadTokens = 0, cost = 0;
-      for (const q of queries) {
-        inputTokens += q.inputTokens;
-        outputTokens += q.outputTokens;
-        cacheCreationTokens += q.cacheCreationTokens;
-        cacheReadTokens += q.cacheReadTokens;
-        cost += q.cost;
+    // Parse every transcript first, so subagents can be linked to their parent session
+    const mainFiles = [];
+    const subagentsByParent = {};
+    const addSubagent = (parentId, file, state) => {
+      if (!subagentsByParent[parentId]) subagentsByParent[parentId] = [];
+      subagentsByParent[parentId].push({ fileId: file.fileId, filePath: file.filePath, source: file.source, state });
+    };
+    for (const file of files) {
+      const state = await parseFile(file.filePath);
+      if (!state) continue;
+      if (file.parentId) {
+        addSubagent(file.parentId, file, state);
+      } else if (state.sidechainFile && state.sessionId && file.fileId.startsWith('agent-')) {
+        addSubagent(state.sessionId, file, state);
+      } else {
+        mainFiles.push({ sessionId: file.fileId, filePath: file.filePath, source: file.source, state });
       }
-      const totalTokens = inputTokens + cacheCreationTokens + cacheReadTokens + outputTokens;
+    }
+    // Subagents whose parent transcript is gone are still usage; show them on their own
+    const mainIds = new Set(mainFiles.map(m => m.sessionId));
+    for (const [parentId, subs] of Object.entries(subagentsByParent)) {
+      if (mainIds.has(parentId)) continue;
+      for (const sub of subs) mainFiles.push({ sessionId: sub.fileId, filePath: sub.filePath, source: sub.source, state: sub.state });
+    }
 
-      const firstTimestamp = entries.find(e => e.timestamp)?.timestamp;
-      const date = firstTimestamp ? firstTimestamp.split('T')[0] : 'unknown';
+    const projectSessions = [];
+    for (const { sessionId, filePath, source, state } of mainFiles) {
+      const subs = mainIds.has(sessionId) ? (subagentsByParent[sessionId] || []) : [];
+      const { queries, subagents } = buildSessionTree(state, subs.map(sub => sub.state));
+      if (queries.length === 0) continue;
+      const { firstTimestamp } = state;
+      const duplicateEntries = subs.reduce((sum, sub) => sum + sub.state.duplicateEntries, state.duplicateEntries);
 
-      // Primary model
-      const modelCounts = {};
-      for (const q of queries) {
-        modelCounts[q.model] = (modelCounts[q.model] || 0) + 1;
-      }
-      const primaryModel = Object.entries(modelCounts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'unknown';
+      const date = calendar.parts(firstTimestamp)?.date || 'unknown';
 
       const firstPrompt = sessionFirstPrompt[sessionId]
-        || queries.find(q => q.userPrompt)?.userPrompt
-        || '(no prompt)';
-
-      // Collect per-prompt data for "most expensive prompts"
-      // Group consecutive queries under the same user prompt
-      let currentPrompt = null;
-      let promptInput = 0, promptOutput = 0, promptCacheCreation = 0, promptCacheRead = 0, promptCost = 0;
-      const flushPrompt = () => {
-        if (currentPrompt && (promptInput + promptOutput + promptCacheCreation + promptCacheRead) > 0) {
-          allPrompts.push({
-            prompt: currentPrompt.substring(0, 300),
-            inputTokens: promptInput,
-            outputTokens: promptOutput,
-            cacheCreationTokens: promptCacheCreation,
-            cacheReadTokens: promptCacheRead,
-            totalTokens: promptInput + promptOutput + promptCacheCreation + promptCacheRead,
-            cost: promptCost,
-            date,
-            sessionId,
-            model: primaryModel,
-          });
-        }
-      };
-      for (const q of queries) {
-        if (q.userPrompt && q.userPrompt !== currentPrompt) {
-          flushPrompt();
-          currentPrompt = q.userPrompt;
-          promptInput = 0;
-          promptOutput = 0;
-          promptCacheCreation = 0;
-          promptCacheRead = 0;
-          promptCost = 0;
-        }
-        promptInput += q.inputTokens;
-        promptOutput += q.outputTokens;
-        promptCacheCreation += q.cacheCreationTokens;
-        promptCacheRead += q.cacheReadTokens;
-        promptCost += q.cost;
-      }
-      flushPrompt();
+        || queries.find(q => q.userPrompt)?.userPrompt;
 
-      sessions.push({
+      projectSessions.push(redactSession({
         sessionId,
         project: projectDir,
+        projectPath: state.cwd,
+        // The transcript, for the drilldown's full view
+        file: filePath,
+        source,
         date,
         timestamp: firstTimestamp,
-        firstPrompt: firstPrompt.substring(0, 200),
-        model: primaryModel,
-        queryCount: queries.length,
+        firstPrompt: firstPrompt ? redactText(firstPrompt, redaction).substring(0, 200) : '(no prompt)',
+        duplicateEntries,
         queries,
-        inputTokens,
-        outputTokens,
-        cacheCreationTokens,
-        cacheReadTokens,
-        totalTokens,
-        cost,
-      });
-
-      // Daily
-      if (date !== 'unknown') {
-        if (!dailyMap[date]) {
-          dailyMap[date] = { date, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalTokens: 0, cost: 0, sessions: 0, queries: 0 };
-        }
-        dailyMap[date].inputTokens += inputTokens;
-        dailyMap[date].outputTokens += outputTokens;
-        dailyMap[date].cacheCreationTokens += cacheCreationTokens;
-        dailyMap[date].cacheReadTokens += cacheReadTokens;
-        dailyMap[date].totalTokens += totalTokens;
-        dailyMap[date].cost += cost;
-        dailyMap[date].sessions += 1;
-        dailyMap[date].queries += queries.length;
-      }
-
-      // Model
-      for (const q of queries) {
-        if (q.model === '<synthetic>' || q.model === 'unknown') continue;
-        if (!modelMap[q.model]) {
-          modelMap[q.model] = { model: q.model, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalTokens: 0, cost: 0, queryCount: 0 };
-        }
-        modelMap[q.model].inputTokens += q.inputTokens;
-        modelMap[q.model].outputTokens += q.outputTokens;
-        modelMap[q.model].cacheCreationTokens += q.cacheCreationTokens;
-        modelMap[q.model].cacheReadTokens += q.cacheReadTokens;
-        modelMap[q.model].totalTokens += q.totalTokens;
-        modelMap[q.model].cost += q.cost;
-        modelMap[q.model].queryCount += 1;
-      }
+        subagents,
+        ...sumQueries(queries),
+        ...summarizeContext(state),
+      }, redaction));
     }
+
+    // Every session in a project directory shows under the same path
+    const projectPath = resolveProjectPath(projectDir, projectSessions);
+    for (const session of projectSessions) session.projectPath = projectPath;
+    sessions.push(...projectSessions);
   }
 
+  if (cache) saveCache(nextCacheFiles);
+
   sessions.sort((a, b) => b.totalTokens - a.totalTokens);
 
-  // Build per-project aggregation
-  const projectMap = {};
+  const data = summarizeSessions(sessions, { timeZone: calendar.timeZone });
+  // Every project and model, for the dashboard's filter controls
+  data.projects = data.projectBreakdown.map(p => ({ project: p.project, path: p.path, name: p.name }));
+  data.models = data.modelBreakdown.map(m => m.model);
+  data.sources = describeSources(sources, sessions);
+  // Session files found in more than one source and read once
+  data.duplicateFiles = duplicates;
+  data.timeZone = calendar.timeZone;
+  data.redaction = redaction;
+  return data;
+}
+
+function describeSources(sources, sessions) {
+  return sources.map(({ name, kind, dir }) => ({
+    name,
+    kind,
+    dir,
+    sessions: sessions.filter(s => s.source === name).length,
+  }));
+}
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalTokens: 0, cost: 0, queries: 0 };
+}
+
+function addUsage(row, q) {
+  row.inputTokens += q.inputTokens;
+  row.outputTokens += q.outputTokens;
+  row.cacheCreationTokens += q.cacheCreationTokens;
+  row.cacheReadTokens += q.cacheReadTokens;
+  row.totalTokens += q.totalTokens;
+  row.cost += q.cost;
+  row.queries += 1;
+}
+
+// weekdayHourly[weekday][hour], weekday 0 = Sunday
+function emptyWeekdayHourly() {
+  return Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ totalTokens: 0, cost: 0, queries: 0 })));
+}
+
+// Rolls sessions up into the daily, hourly, model and project breakdowns,
+// user turns, totals, forecast, outliers and insights. Queries count on their
+// own local date and hour (q.date, q.hour), not on the day their session
+// started. The month-end forecast needs today's date in timeZone; pass
+// forecast: false for date-limited slices, where it would mislead.
+function summarizeSessions(sessions, { timeZone = null, forecast = true } = {}) {
+  const dailyMap = {};
+  const hourlyMap = {};
+  const weekdayHourly = emptyWeekdayHourly();
+  const modelMap = {};
+  const turns = []; // every user turn across all sessions
+  let totalSaved = 0;
+
   for (const session of sessions) {
-    const proj = session.project;
-    if (!projectMap[proj]) {
-      projectMap[proj] = {
-        project: proj,
-        inputTokens: 0, outputTokens: 0, totalTokens: 0,
-        sessionCount: 0, queryCount: 0,
-        modelMap: {},
-        allPrompts: [],
-      };
-    }
-    const p = projectMap[proj];
-    p.inputTokens += session.inputTokens;
-    p.outputTokens += session.outputTokens;
-    p.totalTokens += session.totalTokens;
-    p.sessionCount += 1;
-    p.queryCount += session.queryCount;
+    const { date } = session;
+    const sessionDays = new Set();
 
     for (const q of session.queries) {
+      totalSaved += q.cacheSavings || 0;
+
+      if (q.date && q.date !== 'unknown') {
+        if (!dailyMap[q.date]) dailyMap[q.date] = { date: q.date, ...emptyUsage(), sessions: 0 };
+        addUsage(dailyMap[q.date], q);
+        if (!sessionDays.has(q.date)) {
+          sessionDays.add(q.date);
+          dailyMap[q.date].sessions += 1;
+        }
+
+        const hour = `${q.date}T${String(q.hour).padStart(2, '0')}`;
+        if (!hourlyMap[hour]) hourlyMap[hour] = { hour, ...emptyUsage() };
+        addUsage(hourlyMap[hour], q);
+
+        const cell = weekdayHourly[weekdayOf(q.date)][q.hour];
+        cell.totalTokens += q.totalTokens;
+        cell.cost += q.cost;
+        cell.queries += 1;
+      }
+
       if (q.model === '<synthetic>' || q.model === 'unknown') continue;
-      if (!p.modelMap[q.model]) {
-        p.modelMap[q.model] = { model: q.model, inputTokens: 0, outputTokens: 0, totalTokens: 0, queryCount: 0 };
+      if (!modelMap[q.model]) {
+        modelMap[q.model] = { model: q.model, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalTokens: 0, cost: 0, queryCount: 0 };
       }
-      const m = p.modelMap[q.model];
-      m.inputTokens += q.inputTokens;
-      m.outputTokens += q.outputTokens;
-      m.totalTokens += q.totalTokens;
-      m.queryCount += 1;
+      modelMap[q.model].inputTokens += q.inputTokens;
+      modelMap[q.model].outputTokens += q.outputTokens;
+      modelMap[q.model].cacheCreationTokens += q.cacheCreationTokens;
+      modelMap[q.model].cacheReadTokens += q.cacheReadTokens;
+      modelMap[q.model].totalTokens += q.totalTokens;
+      modelMap[q.model].cost += q.cost;
+      modelMap[q.model].queryCount += 1;
+      if (q.unpriced) modelMap[q.model].unpriced = true;
     }
 
-    // Per-project prompt grouping with tool tracking
-    let curPrompt = null, curInput = 0, curOutput = 0, curConts = 0;
-    let curModels = {}, curTools = {};
-    const flushProjectPrompt = () => {
-      if (curPrompt && (curInput + curOutput) > 0) {
-        const topModel = Object.entries(curModels).sort((a, b) => b[1] - a[1])[0]?.[0] || session.model;
-        p.allPrompts.push({
-          prompt: curPrompt.substring(0, 300),
-          inputTokens: curInput,
-          outputTokens: curOutput,
-          totalTokens: curInput + curOutput,
-          continuations: curConts,
-          model: topModel,
-          toolCounts: { ...curTools },
-          date: session.date,
-          sessionId: session.sessionId,
-        });
-      }
-    };
-    for (const q of session.queries) {
-      if (q.userPrompt && q.userPrompt !== curPrompt) {
-        flushProjectPrompt();
-        curPrompt = q.userPrompt;
-        curInput = 0; curOutput = 0; curConts = 0;
-        curModels = {}; curTools = {};
-      } else if (!q.userPrompt) {
-        curConts++;
-      }
-      curInput += q.inputTokens;
-      curOutput += q.outputTokens;
-      if (q.model && q.model !== '<synthetic>') curModels[q.model] = (curModels[q.model] || 0) + 1;
-      for (const t of q.tools || []) curTools[t] = (curTools[t] || 0) + 1;
+    for (const t of groupTurns(session.queries)) {
+      turns.push({
+        ...t,
+        prompt: t.prompt && t.prompt.substring(0, 300),
+        sessionId: session.sessionId,
+        project: session.project,
+        source: session.source,
+      });
     }
-    flushProjectPrompt();
   }
+  turns.sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
 
-  const projectBreakdown = Object.values(projectMap).map(p => ({
-    project: p.project,
-    inputTokens: p.inputTokens,
-    outputTokens: p.outputTokens,
-    totalTokens: p.totalTokens,
-    sessionCount: p.sessionCount,
-    queryCount: p.queryCount,
-    modelBreakdown: Object.values(p.modelMap).sort((a, b) => b.totalTokens - a.totalTokens),
-    topPrompts: (p.allPrompts || []).sort((a, b) => b.totalTokens - a.totalTokens).slice(0, 10),
-  })).sort((a, b) => b.totalTokens - a.totalTokens);
+  const projectBreakdown = buildProjectBreakdown(sessions, turns);
+  const toolBreakdown = buildToolBreakdown(sessions);
 
   const dailyUsage = Object.values(dailyMap).sort((a, b) => a.date.localeCompare(b.date));
-
-  // Top 20 most expensive individual prompts
-  allPrompts.sort((a, b) => b.totalTokens - a.totalTokens);
-  const topPrompts = allPrompts.slice(0, 20);
+  const hourlyUsage = Object.values(hourlyMap).sort((a, b) => a.hour.localeCompare(b.hour));
 
   const totalCacheCreationTokens = sessions.reduce((sum, s) => sum + s.cacheCreationTokens, 0);
   const totalCacheReadTokens = sessions.reduce((sum, s) => sum + s.cacheReadTokens, 0);
   const totalCost = sessions.reduce((sum, s) => sum + s.cost, 0);
   const totalAllInput = sessions.reduce((sum, s) => sum + s.inputTokens + s.cacheCreationTokens + s.cacheReadTokens, 0);
 
-  // What caching saved: cache reads at full input price minus what they actually cost
-  const avgInputPrice = DEFAULT_PRICING.input;
-  const avgCacheReadPrice = DEFAULT_PRICING.cacheRead;
-  const totalSaved = totalCacheReadTokens * (avgInputPrice - avgCacheReadPrice);
+  // totalSaved (what cache reads saved vs. full input price) was summed per query above
   const cacheHitRate = totalAllInput > 0 ? totalCacheReadTokens / totalAllInput : 0;
 
   const grandTotals = {
@@ -402,6 +591,10 @@ async function parseAllSessions() {
     totalCacheReadTokens,
     totalCost,
     totalSaved,
+    duplicateEntries: sessions.reduce((sum, s) => sum + s.duplicateEntries, 0),
+    // Models with no known price are left out of costs rather than guessed
+    unpricedModels: Object.values(modelMap).filter(m => m.unpriced)
+      .map(m => ({ model: m.model, queryCount: m.queryCount, totalTokens: m.totalTokens })),
     cacheHitRate,
     avgTokensPerQuery: 0,
     avgTokensPerSession: 0,
@@ -417,240 +610,78 @@ async function parseAllSessions() {
   }
 
   // Generate insights
-  const insights = generateInsights(sessions, allPrompts, grandTotals);
+  const outliers = findOutliers(dailyUsage, sessions);
+  const insights = generateInsights({ sessions, prompts: turns, totals: grandTotals, dailyUsage, outliers });
 
   return {
     sessions,
     dailyUsage,
+    hourlyUsage,
+    weekdayHourly,
     modelBreakdown: Object.values(modelMap),
     projectBreakdown,
-    topPrompts,
+    toolBreakdown,
+    turns,
     totals: grandTotals,
+    forecast: forecast ? forecastMonth(dailyUsage, { timeZone, outlierDays: outliers.days }) : null,
+    outliers,
     insights,
   };
 }
 
-function generateInsights(sessions, allPrompts, totals) {
-  const insights = [];
-
-  // 1. Short, vague messages that cost a lot
-  const shortExpensive = allPrompts.filter(p => p.prompt.trim().length < 30 && p.totalTokens > 100_000);
-  if (shortExpensive.length > 0) {
-    const totalWasted = shortExpensive.reduce((s, p) => s + p.totalTokens, 0);
-    const examples = [...new Set(shortExpensive.map(p => p.prompt.trim()))].slice(0, 4);
-    insights.push({
-      id: 'vague-prompts',
-      type: 'warning',
-      title: 'Short, vague messages are costing you the most',
-      description: `${shortExpensive.length} times you sent a short message like ${examples.map(e => '"' + e + '"').join(', ')} -- and each message burned at least 100K tokens just trying to figure out what you wanted. Across all ${shortExpensive.length} messages, that adds up to ${fmt(totalWasted)} tokens total -- spent re-reading your conversation, searching files, and making multiple attempts because the instruction was too vague.`,
-      action: 'Try being specific. Instead of "Yes", say "Yes, update the login page and run the tests." It gives Claude a clear target, so it finishes faster and uses fewer tokens.',
-    });
-  }
-
-  // 2. Long conversations getting more expensive over time
-  const longSessions = sessions.filter(s => s.queries.length > 50);
-  if (longSessions.length > 0) {
-    const growthData = longSessions.map(s => {
-      const first5 = s.queries.slice(0, 5).reduce((sum, q) => sum + q.totalTokens, 0) / Math.min(5, s.queries.length);
-      const last5 = s.queries.slice(-5).reduce((sum, q) => sum + q.totalTokens, 0) / Math.min(5, s.queries.length);
-      return { session: s, first5, last5, ratio: last5 / Math.max(first5, 1) };
-    }).filter(g => g.ratio > 2);
-
-    if (growthData.length > 0) {
-      const avgGrowth = (growthData.reduce((s, g) => s + g.ratio, 0) / growthData.length).toFixed(1);
-      const worstSession = growthData.sort((a, b) => b.ratio - a.ratio)[0];
-      insights.push({
-        id: 'context-growth',
-        type: 'warning',
-        title: 'The longer you chat, the more each message costs',
-        description: `In ${growthData.length} of your conversations, the messages near the end cost ${avgGrowth}x more than the ones at the start. Why? Every time you send a message, Claude re-reads the entire conversation from the beginning. So message #5 is cheap, but message #80 is expensive because Claude is re-reading 79 previous messages plus all the code it wrote. Your longest conversation ("${worstSession.session.firstPrompt.substring(0, 50)}...") grew ${worstSession.ratio.toFixed(1)}x more expensive by the end.`,
-        action: 'Start a fresh conversation when you move to a new task. If you need context from before, paste a short summary in your first message. This gives Claude a clean slate instead of re-reading hundreds of old messages.',
-      });
-    }
-  }
-
-  // 3. Marathon conversations
-  const turnCounts = sessions.map(s => s.queryCount);
-  const medianTurns = turnCounts.sort((a, b) => a - b)[Math.floor(turnCounts.length / 2)] || 0;
-  const longCount = sessions.filter(s => s.queryCount > 200).length;
-  if (longCount >= 3) {
-    const longTokens = sessions.filter(s => s.queryCount > 200).reduce((s, ses) => s + ses.totalTokens, 0);
-    const longPct = ((longTokens / Math.max(totals.totalTokens, 1)) * 100).toFixed(0);
-    insights.push({
-      id: 'marathon-sessions',
-      type: 'info',
-      title: `Just ${longCount} long conversations used ${longPct}% of all your tokens`,
-      description: `You have ${longCount} conversations with over 200 messages each. These alone consumed ${fmt(longTokens)} tokens -- that's ${longPct}% of everything. Meanwhile, your typical conversation is about ${medianTurns} messages. Long conversations aren't always bad, but they're disproportionately expensive because of how context builds up.`,
-      action: 'Try keeping one conversation per task. When a conversation starts drifting into different topics, that is a good time to start a new one.',
-    });
-  }
-
-  // 4. Most tokens are re-reading, not writing
-  if (totals.totalTokens > 0) {
-    const outputPct = (totals.totalOutputTokens / totals.totalTokens) * 100;
-    if (outputPct < 2) {
-      insights.push({
-        id: 'input-heavy',
-        type: 'info',
-        title: `${outputPct.toFixed(1)}% of your tokens are Claude actually writing`,
-        description: `Here's something surprising: out of ${fmt(totals.totalTokens)} total tokens, only ${fmt(totals.totalOutputTokens)} are from Claude writing responses. The other ${(100 - outputPct).toFixed(1)}% is Claude re-reading your conversation history, files, and context before each response. This means the biggest factor in token usage isn't how much Claude writes -- it's how long your conversations are.`,
-        action: 'Keeping conversations shorter has more impact than asking for shorter answers. A 20-message conversation costs far less than a 200-message one, even if the total output is similar.',
-      });
-    }
-  }
-
-  // 5. Day-of-week pattern
-  if (sessions.length >= 10) {
-    const dayOfWeekMap = {};
-    for (const s of sessions) {
-      if (!s.timestamp) continue;
-      const d = new Date(s.timestamp);
-      const day = d.getDay();
-      if (!dayOfWeekMap[day]) dayOfWeekMap[day] = { tokens: 0, sessions: 0 };
-      dayOfWeekMap[day].tokens += s.totalTokens;
-      dayOfWeekMap[day].sessions += 1;
-    }
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const days = Object.entries(dayOfWeekMap).map(([d, v]) => ({ day: dayNames[d], ...v, avg: v.tokens / v.sessions }));
-    if (days.length >= 3) {
-      days.sort((a, b) => b.avg - a.avg);
-      const busiest = days[0];
-      const quietest = days[days.length - 1];
-      insights.push({
-        id: 'day-pattern',
-        type: 'neutral',
-        title: `You use Claude the most on ${busiest.day}s`,
-        description: `Your ${busiest.day} conversations average ${fmt(Math.round(busiest.avg))} tokens each, compared to ${fmt(Math.round(quietest.avg))} on ${quietest.day}s. This could mean you tackle bigger tasks on ${busiest.day}s, or your conversations tend to run longer.`,
-        action: null,
-      });
-    }
-  }
-
-  // 6. Model mismatch -- Opus used for simple conversations
-  const opusSessions = sessions.filter(s => s.model.includes('opus'));
-  if (opusSessions.length > 0) {
-    const simpleOpus = opusSessions.filter(s => s.queryCount < 10 && s.totalTokens < 200_000);
-    if (simpleOpus.length >= 3) {
-      const wastedTokens = simpleOpus.reduce((s, ses) => s + ses.totalTokens, 0);
-      const examples = simpleOpus.slice(0, 3).map(s => '"' + s.firstPrompt.substring(0, 40) + '"').join(', ');
-      insights.push({
-        id: 'model-mismatch',
-        type: 'warning',
-        title: `${simpleOpus.length} simple conversations used Opus unnecessarily`,
-        description: `These conversations had fewer than 10 messages and used ${fmt(wastedTokens)} tokens on Opus: ${examples}. Opus is the most capable model but also the most expensive. For quick questions and small tasks, Sonnet or Haiku would give similar results at a fraction of the cost.`,
-        action: 'Use /model to switch to Sonnet or Haiku for simple tasks. Save Opus for complex multi-file changes, architecture decisions, or tricky debugging.',
-      });
-    }
-  }
-
-  // 7. Tool-heavy conversations
-  if (sessions.length >= 5) {
-    const toolHeavy = sessions.filter(s => {
-      const userMessages = s.queries.filter(q => q.userPrompt).length;
-      const toolCalls = s.queryCount - userMessages;
-      return userMessages > 0 && toolCalls > userMessages * 3;
-    });
-    if (toolHeavy.length >= 3) {
-      const totalToolTokens = toolHeavy.reduce((s, ses) => s + ses.totalTokens, 0);
-      const avgRatio = toolHeavy.reduce((s, ses) => {
-        const userMsgs = ses.queries.filter(q => q.userPrompt).length;
-        return s + (ses.queryCount - userMsgs) / Math.max(userMsgs, 1);
-      }, 0) / toolHeavy.length;
-      insights.push({
-        id: 'tool-heavy',
-        type: 'info',
-        title: `${toolHeavy.length} conversations had ${Math.round(avgRatio)}x more tool calls than messages`,
-        description: `In these conversations, Claude made ~${Math.round(avgRatio)} tool calls for every message you sent. Each tool call (reading files, running commands, searching code) is a full round trip that re-reads the entire conversation. These ${toolHeavy.length} conversations used ${fmt(totalToolTokens)} tokens total.`,
-        action: 'Point Claude to specific files and line numbers when you can. "Fix the bug in src/auth.js line 42" triggers fewer tool calls than "fix the login bug" where Claude has to search for the right file first.',
-      });
-    }
-  }
-
-  // 8. One project dominates usage
-  if (sessions.length >= 5) {
-    const projectTokens = {};
-    for (const s of sessions) {
-      const proj = s.project || 'unknown';
-      projectTokens[proj] = (projectTokens[proj] || 0) + s.totalTokens;
-    }
-    const sorted = Object.entries(projectTokens).sort((a, b) => b[1] - a[1]);
-    if (sorted.length >= 2) {
-      const [topProject, topTokens] = sorted[0];
-      const pct = ((topTokens / Math.max(totals.totalTokens, 1)) * 100).toFixed(0);
-      if (pct >= 60) {
-        const projName = topProject.replace(/^C--Users-[^-]+-?/, '').replace(/^Projects-?/, '').replace(/-/g, '/') || '~';
-        insights.push({
-          id: 'project-dominance',
-          type: 'info',
-          title: `${pct}% of your tokens went to one project: ${projName}`,
-          description: `Your "${projName}" project used ${fmt(topTokens)} tokens out of ${fmt(totals.totalTokens)} total. That is ${pct}% of all your usage. The next closest project used ${fmt(sorted[1][1])} tokens.`,
-          action: 'Not necessarily a problem, but worth knowing. If this project has long-running conversations, breaking them into smaller sessions could reduce its footprint.',
-        });
-      }
+// Projects with their model mix and most expensive turns
+function buildProjectBreakdown(sessions, turns) {
+  const projectMap = {};
+  for (const session of sessions) {
+    const proj = session.project;
+    if (!projectMap[proj]) {
+      projectMap[proj] = {
+        project: proj,
+        path: session.projectPath,
+        name: projectName(session.projectPath),
+        inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalTokens: 0, cost: 0,
+        sessionCount: 0, queryCount: 0,
+        modelMap: {},
+      };
     }
-  }
+    const p = projectMap[proj];
+    p.inputTokens += session.inputTokens;
+    p.outputTokens += session.outputTokens;
+    p.cacheCreationTokens += session.cacheCreationTokens;
+    p.cacheReadTokens += session.cacheReadTokens;
+    p.totalTokens += session.totalTokens;
+    p.cost += session.cost;
+    p.sessionCount += 1;
+    p.queryCount += session.queryCount;
 
-  // 9. Conversation efficiency -- short vs long conversations cost per message
-  if (sessions.length >= 10) {
-    const shortSessions = sessions.filter(s => s.queryCount >= 3 && s.queryCount <= 15);
-    const longSessions2 = sessions.filter(s => s.queryCount > 80);
-    if (shortSessions.length >= 3 && longSessions2.length >= 2) {
-      const shortAvg = Math.round(shortSessions.reduce((s, ses) => s + ses.totalTokens / ses.queryCount, 0) / shortSessions.length);
-      const longAvg = Math.round(longSessions2.reduce((s, ses) => s + ses.totalTokens / ses.queryCount, 0) / longSessions2.length);
-      const ratio = (longAvg / Math.max(shortAvg, 1)).toFixed(1);
-      if (ratio >= 2) {
-        insights.push({
-          id: 'conversation-efficiency',
-          type: 'warning',
-          title: `Each message costs ${ratio}x more in long conversations`,
-          description: `In your short conversations (under 15 messages), each message costs ~${fmt(shortAvg)} tokens. In your long ones (80+ messages), each message costs ~${fmt(longAvg)} tokens. That is ${ratio}x more per message, because Claude re-reads the entire history every turn.`,
-          action: 'This is the single biggest lever for reducing token usage. Start fresh conversations more often. A 5-conversation workflow costs far less than one 500-message marathon.',
-        });
+    for (const q of session.queries) {
+      if (q.model === '<synthetic>' || q.model === 'unknown') continue;
+      if (!p.modelMap[q.model]) {
+        p.modelMap[q.model] = { model: q.model, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalTokens: 0, cost: 0, queryCount: 0 };
       }
+      const m = p.modelMap[q.model];
+      m.inputTokens += q.inputTokens;
+      m.outputTokens += q.outputTokens;
+      m.cacheCreationTokens += q.cacheCreationTokens;
+      m.cacheReadTokens += q.cacheReadTokens;
+      m.totalTokens += q.totalTokens;
+      m.cost += q.cost;
+      m.queryCount += 1;
     }
   }
 
-  // 10. Heavy context on first message (large CLAUDE.md or system prompts)
-  if (sessions.length >= 5) {
-    const heavyStarts = sessions.filter(s => {
-      const firstQuery = s.queries[0];
-      return firstQuery && firstQuery.inputTokens > 50_000;
-    });
-    if (heavyStarts.length >= 5) {
-      const avgStartTokens = Math.round(heavyStarts.reduce((s, ses) => s + ses.queries[0].inputTokens, 0) / heavyStarts.length);
-      const totalOverhead = heavyStarts.reduce((s, ses) => s + ses.queries[0].inputTokens, 0);
-      insights.push({
-        id: 'heavy-context',
-        type: 'info',
-        title: `${heavyStarts.length} conversations started with ${fmt(avgStartTokens)}+ tokens of context`,
-        description: `Before you even type your first message, Claude reads your CLAUDE.md, project files, and system context. In ${heavyStarts.length} conversations, this starting context averaged ${fmt(avgStartTokens)} tokens. Across all of them, that is ${fmt(totalOverhead)} tokens just on setup -- and this context gets re-read with every message.`,
-        action: 'Keep your CLAUDE.md files concise. Remove sections you rarely need. A smaller starting context compounds into savings across every message in the conversation.',
-      });
-    }
-  }
-
-  // 11. Cache efficiency
-  if (totals.totalCacheReadTokens > 0) {
-    const saved = totals.totalSaved;
-    const hitRate = (totals.cacheHitRate * 100).toFixed(1);
-    const withoutCaching = totals.totalCost + saved;
-    insights.push({
-      id: 'cache-savings',
-      type: 'info',
-      title: `Caching saved you an estimated $${saved.toFixed(2)}`,
-      description: `Your cache hit rate is ${hitRate}% -- meaning ${hitRate}% of all input tokens were served from cache at 10x lower cost. Without caching, your estimated API-equivalent bill would be $${withoutCaching.toFixed(2)} instead of $${totals.totalCost.toFixed(2)}. Cache reads happen when Claude re-reads parts of the conversation that haven't changed since the last turn.`,
-      action: 'Caching works best in longer conversations where context stays stable. Shorter sessions mean less cache reuse but also less context growth. The sweet spot is medium-length focused sessions on a single task.',
-    });
+  const projectTurns = {};
+  for (const t of turns) {
+    if (!projectTurns[t.project]) projectTurns[t.project] = [];
+    // turns is sorted by cost
+    if (projectTurns[t.project].length < 10) projectTurns[t.project].push(t);
   }
 
-  return insights;
-}
-
-function fmt(n) {
-  if (n >= 1_000_000) return (n / 1_000_000).toFixed(1) + 'M';
-  if (n >= 10_000) return (n / 1_000).toFixed(0) + 'K';
-  if (n >= 1_000) return (n / 1_000).toFixed(1) + 'K';
-  return n.toLocaleString();
+  return Object.values(projectMap).map(({ modelMap, ...p }) => ({
+    ...p,
+    modelBreakdown: Object.values(modelMap).sort((a, b) => b.totalTokens - a.totalTokens),
+    topTurns: projectTurns[p.project] || [],
+  })).sort((a, b) => b.totalTokens - a.totalTokens);
 }
 
-module.exports = { parseAllSessions };
+module.exports = { parseAllSessions, summarizeSessions, sumQueries, groupTurns, fmt };
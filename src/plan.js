@@ -0,0 +1,178 @@
+const { fmt } = require('./parser');
+const { formatTable } = require('./report');
+const { createCalendar, systemTimeZone } = require('./timezone');
+
+// Subscription plans meter usage in rolling windows rather than dollars: a
+// 5-hour block starts with the first message after the previous block ended
+// (rounded down to the hour), and weekly windows work the same way over 7 days.
+//
+// Anthropic doesn't publish exact plan limits. The built-in block limits are
+// community estimates in API-equivalent dollars; set your own in
+// ~/.claude-spend/config.json ("plan": { "name": "max5", "blockLimit": { "cost": 40 } }).
+// There is no usable estimate for the weekly limits, so weekly usage is only
+// measured against a "weeklyLimit" the user configures.
+const PLANS = {
+  pro: { label: 'Pro', blockLimit: { cost: 18 }, weeklyLimit: null },
+  max5: { label: 'Max 5x', blockLimit: { cost: 35 }, weeklyLimit: null },
+  max20: { label: 'Max 20x', blockLimit: { cost: 140 }, weeklyLimit: null },
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const BLOCK_MS = 5 * HOUR_MS;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+function resolvePlan(config = {}, flag) {
+  const setting = flag || config.plan;
+  if (!setting) return null;
+  const name = typeof setting === 'string' ? setting : setting.name;
+  const base = PLANS[name];
+  if (!base) throw new Error(`Unknown plan "${name}". Use one of: ${Object.keys(PLANS).join(', ')}`);
+  // A --plan flag picks the plan; limits configured for that same plan still apply
+  const overrides = typeof config.plan === 'object' && config.plan.name === name ? config.plan : {};
+  return {
+    name,
+    label: base.label,
+    blockLimit: overrides.blockLimit || base.blockLimit,
+    weeklyLimit: overrides.weeklyLimit || base.weeklyLimit,
+  };
+}
+
+// Tokens that count toward plan limits: cache reads are excluded, since they
+// are a small fraction of the cost of fresh input
+function planTokens(q) {
+  return q.inputTokens + q.cacheCreationTokens + q.outputTokens;
+}
+
+function buildWindows(events, durationMs) {
+  const windows = [];
+  let current = null;
+  for (const e of events) {
+    if (!current || e.time >= current.end) {
+      const start = Math.floor(e.time / HOUR_MS) * HOUR_MS;
+      current = { start, end: start + durationMs, cost: 0, tokens: 0, queryCount: 0, sessions: {} };
+      windows.push(current);
+    }
+    current.cost += e.cost;
+    current.tokens += e.tokens;
+    current.queryCount += 1;
+    if (!current.sessions[e.session.sessionId]) {
+      current.sessions[e.session.sessionId] = {
+        sessionId: e.session.sessionId,
+        project: e.session.project,
+        firstPrompt: e.session.firstPrompt.substring(0, 100),
+        cost: 0,
+        tokens: 0,
+      };
+    }
+    current.sessions[e.session.sessionId].cost += e.cost;
+    current.sessions[e.session.sessionId].tokens += e.tokens;
+  }
+  return windows;
+}
+
+function summarizeWindow(w, limit, now) {
+  const used = limit ? (limit.cost ? w.cost : w.tokens) : null;
+  const max = limit ? (limit.cost || limit.tokens) : null;
+  return {
+    start: new Date(w.start).toISOString(),
+    end: new Date(w.end).toISOString(),
+    active: now >= w.start && now < w.end,
+    cost: w.cost,
+    tokens: w.tokens,
+    queryCount: w.queryCount,
+    limit: limit ? { metric: limit.cost ? 'cost' : 'tokens', value: max } : null,
+    pctUsed: limit ? used / max : null,
+    // Which sessions burned this window, biggest first
+    sessions: Object.values(w.sessions).sort((a, b) => b.cost - a.cost).slice(0, 5),
+  };
+}
+
+function buildPlanUsage(data, plan, { now = Date.now(), historyDays = 14 } = {}) {
+  const events = [];
+  for (const session of data.sessions) {
+    for (const q of session.queries) {
+      const time = Date.parse(q.assistantTimestamp);
+      if (isNaN(time)) continue;
+      events.push({ time, cost: q.cost, tokens: planTokens(q), session });
+    }
+  }
+  events.sort((a, b) => a.time - b.time);
+
+  const since = now - historyDays * 24 * HOUR_MS;
+  const blocks = buildWindows(events, BLOCK_MS)
+    .filter(w => w.end > since)
+    .map(w => summarizeWindow(w, plan.blockLimit, now))
+    .reverse();
+  const weeks = buildWindows(events, WEEK_MS)
+    .map(w => summarizeWindow(w, plan.weeklyLimit, now))
+    .reverse()
+    .slice(0, 8);
+
+  return {
+    plan: { name: plan.name, label: plan.label, blockLimit: plan.blockLimit, weeklyLimit: plan.weeklyLimit },
+    // Window times are shown in the timezone the usage was attributed in
+    timeZone: data.timeZone || systemTimeZone(),
+    currentBlock: blocks.find(b => b.active) || null,
+    currentWeek: weeks.find(w => w.active) || null,
+    blocks,
+    weeks,
+  };
+}
+
+function formatTime(iso, calendar) {
+  const minutes = Math.floor(calendar.minuteOfDay(iso));
+  const pad = n => String(n).padStart(2, '0');
+  return `${calendar.parts(iso).date} ${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+function formatUsed(w) {
+  const used = w.limit?.metric === 'tokens' ? fmt(w.tokens) + ' tokens' : '$' + w.cost.toFixed(2);
+  if (!w.limit) return `${used} (no weekly limit set)`;
+  const max = w.limit.metric === 'tokens' ? fmt(w.limit.value) + ' tokens' : '$' + w.limit.value.toFixed(2);
+  return `${used} of ~${max} (${(w.pctUsed * 100).toFixed(0)}%)`;
+}
+
+function formatPlanReport(usage, now = Date.now()) {
+  const calendar = createCalendar(usage.timeZone);
+  const time = iso => formatTime(iso, calendar);
+  const lines = [`${usage.plan.label} plan (limits are estimates, times in ${usage.timeZone})`, ''];
+
+  const block = usage.currentBlock;
+  lines.push(block
+    ? `Current 5-hour block: ${formatUsed(block)} -- resets at ${time(block.end)} (in ${formatDuration(Date.parse(block.end) - now)})`
+    : 'Current 5-hour block: none active -- the next message starts a new one');
+  const week = usage.currentWeek;
+  lines.push(week
+    ? `This week: ${formatUsed(week)} -- resets at ${time(week.end)}`
+    : 'This week: no usage yet');
+  if (!usage.plan.weeklyLimit) {
+    lines.push('  Anthropic doesn\'t publish weekly limits: set "weeklyLimit" under "plan" in ~/.claude-spend/config.json to track one');
+  }
+
+  if (usage.blocks.length > 0) {
+    const rows = usage.blocks.map(b => ({
+      start: time(b.start) + (b.active ? ' *' : ''),
+      queries: b.queryCount,
+      tokens: fmt(b.tokens),
+      cost: '$' + b.cost.toFixed(2),
+      used: b.pctUsed === null ? '' : (b.pctUsed * 100).toFixed(0) + '%',
+      top: b.sessions[0] ? b.sessions[0].firstPrompt.replace(/\s+/g, ' ').substring(0, 40) : '',
+    }));
+    lines.push('', 'Recent 5-hour blocks (* = current)', '', formatTable([
+      { key: 'start', header: 'Started' },
+      { key: 'queries', header: 'Queries', align: 'right' },
+      { key: 'tokens', header: 'Tokens', align: 'right' },
+      { key: 'cost', header: 'Cost', align: 'right' },
+      { key: 'used', header: 'Used', align: 'right' },
+      { key: 'top', header: 'Top session' },
+    ], rows));
+  }
+  return lines.join('\n');
+}
+
+module.exports = { resolvePlan, buildPlanUsage, formatPlanReport, PLANS };
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir } = require('./config');
+
+// Anthropic API pricing in $ per million tokens (from platform.claude.com/docs/en/about-claude/pricing)
+// Note: These are API-equivalent estimates. Claude Code subscription pricing differs.
+//
+// Each entry matches model ids containing `pattern` (dots treated as dashes),
+// optionally only for usage between `from` (inclusive) and `to` (exclusive).
+// Earlier entries win, so more specific patterns come first. Built-in
+// patterns name one model, never a whole family, so a new release is flagged
+// as unpriced rather than billed at an older model's rates. When omitted,
+// cache writes cost 1.25x input (5-min TTL) or 2x input (1-hour TTL) and
+// cache reads cost 0.1x input.
+const BUILTIN_PRICING = [
+  // Opus 4.5, 4.6: $5/MTok in, $25/MTok out. 4.6 bills >200K-token prompts at the long-context rate.
+  { pattern: 'opus-4-6', input: 5, output: 25, longContext: { threshold: 200_000, input: 10, output: 37.5 } },
+  { pattern: 'opus-4-5', input: 5, output: 25 },
+  // Opus 3, 4.0, 4.1: $15/MTok in, $75/MTok out. Opus 4.0 is claude-opus-4-0 or
+  // claude-opus-4-<date>.
+  { pattern: 'opus-4-1', input: 15, output: 75 },
+  { pattern: 'opus-4-0', input: 15, output: 75 },
+  { pattern: 'opus-4-2025', input: 15, output: 75 },
+  { pattern: '3-opus', input: 15, output: 75 },
+  // Sonnet 3.5, 3.7, 4, 4.5, 4.6: $3/MTok in, $15/MTok out; >200K-token prompts cost $6/$22.50
+  { pattern: 'sonnet-4-6', input: 3, output: 15, longContext: { threshold: 200_000, input: 6, output: 22.5 } },
+  { pattern: 'sonnet-4-5', input: 3, output: 15, longContext: { threshold: 200_000, input: 6, output: 22.5 } },
+  { pattern: 'sonnet-4-0', input: 3, output: 15, longContext: { threshold: 200_000, input: 6, output: 22.5 } },
+  { pattern: 'sonnet-4-2025', input: 3, output: 15, longContext: { threshold: 200_000, input: 6, output: 22.5 } },
+  { pattern: '3-7-sonnet', input: 3, output: 15 },
+  { pattern: '3-5-sonnet', input: 3, output: 15 },
+  // Haiku 4.5: $1/MTok in, $5/MTok out
+  { pattern: 'haiku-4-5', input: 1, output: 5 },
+  // Haiku 3.5: $0.80/MTok in, $4/MTok out
+  { pattern: '3-5-haiku', input: 0.80, output: 4 },
+  // Haiku 3: $0.25/MTok in, $1.25/MTok out
+  { pattern: '3-haiku', input: 0.25, output: 1.25 },
+];
+
+// Multipliers by the usage's service_tier
+const BUILTIN_SERVICE_TIERS = { standard: 1, priority: 1, batch: 0.5 };
+
+function getPricingPath() {
+  return path.join(getDataDir(), 'pricing.json');
+}
+
+function normalizeModel(model) {
+  return model.toLowerCase().replace(/\./g, '-');
+}
+
+// Fills in derived rates and converts $/MTok to $/token
+function toRates(entry) {
+  const perToken = n => n / 1e6;
+  const rates = tier => ({
+    input: perToken(tier.input),
+    output: perToken(tier.output),
+    cacheWrite5m: perToken(tier.cacheWrite5m ?? tier.cacheWrite ?? tier.input * 1.25),
+    cacheWrite1h: perToken(tier.cacheWrite1h ?? tier.input * 2),
+    cacheRead: perToken(tier.cacheRead ?? tier.input * 0.1),
+  });
+  return {
+    pattern: normalizeModel(entry.pattern),
+    from: entry.from || null,
+    to: entry.to || null,
+    ...rates(entry),
+    longContext: entry.longContext ? { threshold: entry.longContext.threshold || 200_000, ...rates(entry.longContext) } : null,
+  };
+}
+
+function validateEntry(entry, source) {
+  if (!entry || typeof entry.pattern !== 'string' || !entry.pattern) {
+    throw new Error(`${source}: every model entry needs a "pattern"`);
+  }
+  if (typeof entry.input !== 'number' || typeof entry.output !== 'number') {
+    throw new Error(`${source}: "${entry.pattern}" needs numeric "input" and "output" prices ($ per million tokens)`);
+  }
+  return entry;
+}
+
+// Built-in prices, with entries from ~/.claude-spend/pricing.json taking precedence
+function loadPricing(pricingPath = getPricingPath()) {
+  let user = {};
+  if (fs.existsSync(pricingPath)) {
+    try {
+      user = JSON.parse(fs.readFileSync(pricingPath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Could not read ${pricingPath}: ${err.message}`);
+    }
+  }
+  const userModels = (user.models || []).map(e => validateEntry(e, pricingPath));
+  return {
+    models: [...userModels, ...BUILTIN_PRICING].map(toRates),
+    serviceTiers: { ...BUILTIN_SERVICE_TIERS, ...(user.serviceTiers || {}) },
+  };
+}
+
+function findRates(pricing, model, timestamp) {
+  if (!model || model === 'unknown') return null;
+  const id = normalizeModel(model);
+  const date = timestamp ? timestamp.split('T')[0] : null;
+  return pricing.models.find(p =>
+    id.includes(p.pattern)
+    && (!p.from || !date || date >= p.from)
+    && (!p.to || !date || date < p.to)
+  ) || null;
+}
+
+// Sets q.cost from the rates in effect at the query's timestamp. Models with no
+// known price get cost 0 and unpriced: true rather than a guessed price.
+// q.cacheSavings is what cache reads saved compared to paying the full input rate.
+function priceQuery(q, pricing) {
+  const entry = findRates(pricing, q.model, q.assistantTimestamp);
+  if (!entry) {
+    q.cost = 0;
+    q.cacheSavings = 0;
+    q.unpriced = true;
+    return q;
+  }
+  delete q.unpriced;
+
+  const promptTokens = q.inputTokens + q.cacheCreationTokens + q.cacheReadTokens;
+  const rates = entry.longContext && promptTokens > entry.longContext.threshold ? entry.longContext : entry;
+  const multiplier = pricing.serviceTiers[q.serviceTier] ?? 1;
+  const cacheWrite1h = q.cacheWrite1hTokens || 0;
+
+  q.cost = multiplier * (
+    (q.inputTokens * rates.input)
+    + ((q.cacheCreationTokens - cacheWrite1h) * rates.cacheWrite5m)
+    + (cacheWrite1h * rates.cacheWrite1h)
+    + (q.cacheReadTokens * rates.cacheRead)
+    + (q.outputTokens * rates.output)
+  );
+  q.cacheSavings = multiplier * q.cacheReadTokens * (rates.input - rates.cacheRead);
+  return q;
+}
+
+module.exports = { loadPricing, priceQuery, findRates, getPricingPath, BUILTIN_PRICING };
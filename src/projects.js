@@ -0,0 +1,74 @@
+const fs = require('fs');
+
+// Claude Code names each project directory after the working directory it
+// ran in, with every character other than letters and digits replaced by "-"
+// ("/home/me/my-app" -> "-home-me-my-app", "C:\Users\me" -> "C--Users-me").
+// That loses information, so the cwd recorded in the transcripts is preferred
+// and this is only the fallback for sessions that don't have one.
+const JOINERS = ['-', '_', '.', ' '];
+
+function decodeProjectDir(name, { exists = fs.existsSync } = {}) {
+  const drive = name.match(/^([A-Za-z])--(.*)$/);
+  const root = drive ? `${drive[1]}:\\` : '/';
+  const sep = drive ? '\\' : '/';
+  const rest = drive ? drive[2] : name.replace(/^-/, '');
+  if (!rest) return root;
+
+  // "--" comes from a separator followed by a dot: "-home-me--config" is /home/me/.config
+  const parts = [];
+  let hidden = false;
+  for (const part of rest.split('-')) {
+    if (part === '') {
+      hidden = true;
+      continue;
+    }
+    parts.push(hidden ? '.' + part : part);
+    hidden = false;
+  }
+
+  // A "-" may have been a "/" or part of a name ("my-app", "my_app", "v1.2").
+  // Take the longest run of parts that exists on disk at each level, and fall
+  // back to one part per level.
+  let current = root;
+  let i = 0;
+  while (i < parts.length) {
+    let segment = parts[i];
+    let take = 1;
+    for (let j = parts.length; j > i + 1 && take === 1; j--) {
+      const found = JOINERS.map(c => parts.slice(i, j).join(c)).find(name => exists(current + name));
+      if (found) {
+        segment = found;
+        take = j - i;
+      }
+    }
+    i += take;
+    current += segment + (i < parts.length ? sep : '');
+  }
+  return current;
+}
+
+// Last path segment, for display
+function projectName(projectPath) {
+  const segments = projectPath.split(/[\\/]/).filter(Boolean);
+  return segments[segments.length - 1] || projectPath;
+}
+
+// A project given by its directory name, path or name, as the header filter
+// and budgets take it
+function projectMatches(session, project) {
+  return session.project === project
+    || session.projectPath === project
+    || (session.projectPath && projectName(session.projectPath) === project);
+}
+
+// Most sessions in a project share one cwd; use the most common, else decode the directory name
+function resolveProjectPath(projectDir, sessions) {
+  const counts = {};
+  for (const s of sessions) {
+    if (s.projectPath) counts[s.projectPath] = (counts[s.projectPath] || 0) + 1;
+  }
+  const top = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return top ? top[0] : decodeProjectDir(projectDir);
+}
+
+module.exports = { decodeProjectDir, projectName, projectMatches, resolveProjectPath };
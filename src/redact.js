@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// What of your prompt text claude-spend shows, applied as sessions are parsed
+// so the dashboard, API, reports, exports and snapshots all see the same:
+//
+//   none          prompts as you typed them
+//   secrets-only  API keys, tokens, passwords and private keys replaced with
+//                 [redacted] (the default)
+//   full          every prompt replaced with a hash, so repeats still match
+//                 up but the text is gone
+//
+// Set with --redact <mode> or "redact" in ~/.claude-spend/config.json.
+
+const MODES = ['none', 'secrets-only', 'full'];
+const DEFAULT_MODE = 'secrets-only';
+const REDACTED = '[redacted]';
+
+// Each pattern's first group, when it has one, is kept: the label of a
+// key=value pair, "Bearer ", the user in a URL
+const SECRET_PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+  /\bsk-ant-[A-Za-z0-9_-]{20,}/g,
+  /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g,
+  /\b(?:gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{22,})/g,
+  /\bglpat-[A-Za-z0-9_-]{20,}/g,
+  /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  /\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  /\bAIza[0-9A-Za-z_-]{35}/g,
+  /\b[rs]k_(?:live|test)_[0-9A-Za-z]{16,}/g,
+  /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+  /(\bBearer\s+)[A-Za-z0-9._~+/=-]{16,}/gi,
+  /(\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/]+(?=@)/gi,
+  /(\b[\w.-]*(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|access[_-]?key)["']?\s*[:=]\s*["']?)[^\s"',;]{8,}/gi,
+];
+
+function resolveRedaction(config = {}, flag) {
+  const mode = flag || config.redact || DEFAULT_MODE;
+  if (!MODES.includes(mode)) throw new Error(`Invalid redact mode "${mode}". Use ${MODES.join(', ')}`);
+  return mode;
+}
+
+function scrubSecrets(text) {
+  if (typeof text !== 'string' || !text) return text;
+  return SECRET_PATTERNS.reduce((out, pattern) => out.replace(pattern, (match, keep) => (typeof keep === 'string' ? keep : '') + REDACTED), text);
+}
+
+// The same text always gets the same hash, so identical prompts still group.
+// A short prompt like "yes" is easy to guess from its hash: this keeps text
+// out of sight, it doesn't make it secret.
+function hashText(text) {
+  return `[prompt ${crypto.createHash('sha256').update(text).digest('hex').slice(0, 10)}]`;
+}
+
+function isHashed(text) {
+  return /^\[prompt [0-9a-f]{10}\]$/.test(text);
+}
+
+function redactText(text, mode) {
+  if (!text || mode === 'none') return text;
+  return mode === 'full' ? hashText(text) : scrubSecrets(text);
+}
+
+function redactSubagent(node, mode) {
+  return {
+    ...node,
+    description: redactText(node.description, mode),
+    prompt: redactText(node.prompt, mode),
+    children: node.children.map(child => redactSubagent(child, mode)),
+  };
+}
+
+// A session's user prompts and its subagents' task descriptions and prompts
+// redacted. The parser redacts firstPrompt itself, before cutting it short.
+function redactSession(session, mode) {
+  if (mode === 'none') return session;
+  return {
+    ...session,
+    queries: session.queries.map(q => (q.userPrompt ? { ...q, userPrompt: redactText(q.userPrompt, mode) } : q)),
+    subagents: (session.subagents || []).map(node => redactSubagent(node, mode)),
+  };
+}
+
+// Every string in a transcript event, for secrets-only. Full redaction has no
+// transcript to show.
+function scrubEvent(value) {
+  if (typeof value === 'string') return scrubSecrets(value);
+  if (Array.isArray(value)) return value.map(scrubEvent);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, scrubEvent(v)]));
+  }
+  return value;
+}
+
+module.exports = { resolveRedaction, redactSession, redactText, scrubSecrets, scrubEvent, isHashed, MODES, REDACTED };
@@ -0,0 +1,183 @@
+const { fmt } = require('./parser');
+const { sortTurns } = require('./turns');
+const { createCalendar, systemTimeZone } = require('./timezone');
+const { addDays } = require('./budget');
+
+const GROUPINGS = ['day', 'hour', 'model', 'project', 'session', 'turn'];
+
+// Accepts relative windows (7d, 2w, 3m) or an absolute YYYY-MM-DD date.
+// Returns the earliest date to include, as YYYY-MM-DD, counted back from
+// today in timeZone (the zone usage is attributed in, see timezone.js).
+function parseSince(value, { now = new Date(), timeZone = systemTimeZone() } = {}) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const match = value.match(/^(\d+)([dwm])$/);
+  if (!match) throw new Error(`Invalid --since value "${value}". Use e.g. 7d, 2w, 3m or 2026-01-31`);
+  const amount = parseInt(match[1], 10);
+  const today = createCalendar(timeZone).parts(now.toISOString()).date;
+  if (match[2] === 'd') return addDays(today, -amount + 1);
+  if (match[2] === 'w') return addDays(today, -amount * 7 + 1);
+  const d = new Date(today + 'T00:00:00Z');
+  d.setUTCMonth(d.getUTCMonth() - amount);
+  return d.toISOString().split('T')[0];
+}
+
+function fmtCost(n) {
+  return '$' + n.toFixed(2);
+}
+
+// 45s, 3m 10s, 1h 5m
+function fmtDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m ${seconds % 60}s`;
+}
+
+const modelName = model => model.replace(/^claude-/, '');
+
+function formatTable(columns, rows) {
+  const cells = [columns.map(c => c.header), ...rows.map(r => columns.map(c => String(r[c.key] ?? '')))];
+  const widths = columns.map((c, i) => Math.max(...cells.map(row => row[i].length)));
+  const line = row => row.map((cell, i) =>
+    columns[i].align === 'right' ? cell.padStart(widths[i]) : cell.padEnd(widths[i])
+  ).join('  ').trimEnd();
+  const out = [line(cells[0]), widths.map(w => '-'.repeat(w)).join('  ')];
+  for (const row of cells.slice(1)) out.push(line(row));
+  return out.join('\n');
+}
+
+function emptyRow(label) {
+  return { label, sessions: 0, queries: 0, inputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTokens(row, src) {
+  row.inputTokens += src.inputTokens;
+  row.cacheCreationTokens += src.cacheCreationTokens;
+  row.cacheReadTokens += src.cacheReadTokens;
+  row.outputTokens += src.outputTokens;
+  row.totalTokens += src.totalTokens;
+  row.cost += src.cost;
+}
+
+const TOKEN_COLUMNS = [
+  { key: 'inputTokens', header: 'Input', align: 'right' },
+  { key: 'cacheCreationTokens', header: 'Cache write', align: 'right' },
+  { key: 'cacheReadTokens', header: 'Cache read', align: 'right' },
+  { key: 'outputTokens', header: 'Output', align: 'right' },
+  { key: 'totalTokens', header: 'Total', align: 'right' },
+  { key: 'cost', header: 'Cost', align: 'right' },
+];
+
+function groupRows(data, by, sort) {
+  const { sessions } = data;
+
+  if (by === 'turn') {
+    return sortTurns(data.turns, sort || 'cost').map(t => ({
+      ...t,
+      label: t.date + '  ' + (t.prompt || '(no text)').replace(/\s+/g, ' ').substring(0, 48),
+      sessions: 1,
+      queries: t.queryCount,
+      rounds: t.toolRounds,
+      duration: fmtDuration(t.durationMs),
+      model: t.models.map(m => modelName(m.model)).join(', '),
+    }));
+  }
+
+  if (by === 'day') {
+    return data.dailyUsage.map(d => ({ ...d, label: d.date }));
+  }
+
+  if (by === 'hour') {
+    return data.hourlyUsage.map(h => ({ ...h, label: h.hour.replace('T', ' ') + ':00' }));
+  }
+
+  if (by === 'model') {
+    const map = {};
+    for (const s of sessions) {
+      for (const q of s.queries) {
+        if (q.model === 'unknown') continue;
+        if (!map[q.model]) map[q.model] = { ...emptyRow(q.model), sessionIds: new Set() };
+        addTokens(map[q.model], q);
+        map[q.model].queries += 1;
+        if (q.unpriced) map[q.model].unpriced = true;
+        map[q.model].sessionIds.add(s.sessionId);
+      }
+    }
+    return Object.values(map)
+      .map(({ sessionIds, ...row }) => ({ ...row, sessions: sessionIds.size }))
+      .sort((a, b) => b.cost - a.cost);
+  }
+
+  if (by === 'project') {
+    const map = {};
+    for (const s of sessions) {
+      const label = s.projectPath || s.project;
+      if (!map[label]) map[label] = emptyRow(label);
+      addTokens(map[label], s);
+      map[label].sessions += 1;
+      map[label].queries += s.queryCount;
+    }
+    return Object.values(map).sort((a, b) => b.cost - a.cost);
+  }
+
+  return sessions
+    .map(s => ({ ...s, label: s.date + '  ' + s.firstPrompt.replace(/\s+/g, ' ').substring(0, 48), sessions: 1, queries: s.queryCount }))
+    .sort((a, b) => b.cost - a.cost);
+}
+
+// data is already narrowed to --since by filterData (see runReport in
+// index.js); since only labels the title
+function buildReport(data, { by = 'day', since = null, limit = null, sort = null } = {}) {
+  if (!GROUPINGS.includes(by)) {
+    throw new Error(`Invalid --by value "${by}". Use one of: ${GROUPINGS.join(', ')}`);
+  }
+  if (sort && by !== 'turn') throw new Error('--sort only applies to --by turn');
+
+  const rows = groupRows(data, by, sort);
+  const total = emptyRow('Total');
+  for (const r of rows) {
+    addTokens(total, r);
+    total.queries += r.queries;
+  }
+  // Model rows can share a session, so count sessions once for the total
+  total.sessions = data.sessions.length;
+  const shown = limit ? rows.slice(0, limit) : rows;
+
+  const labelHeaders = { day: 'Date', hour: 'Hour', model: 'Model', project: 'Project', session: 'Session', turn: 'Prompt' };
+  const columns = [
+    { key: 'label', header: labelHeaders[by] },
+    ...(by === 'session' || by === 'hour' || by === 'turn' ? [] : [{ key: 'sessions', header: 'Sessions', align: 'right' }]),
+    ...(by === 'turn' ? [
+      { key: 'model', header: 'Models' },
+      { key: 'duration', header: 'Duration', align: 'right' },
+      { key: 'rounds', header: 'Tool rounds', align: 'right' },
+    ] : []),
+    { key: 'queries', header: 'Queries', align: 'right' },
+    ...TOKEN_COLUMNS,
+  ];
+  const display = r => {
+    const out = { ...r, cost: r.unpriced ? 'no price' : fmtCost(r.cost) };
+    for (const c of TOKEN_COLUMNS) {
+      if (c.key !== 'cost') out[c.key] = fmt(r[c.key]);
+    }
+    return out;
+  };
+
+  const title = `Claude Code usage by ${by}` + (since ? ` since ${since}` : '');
+  if (rows.length === 0) return `${title}\n\nNo usage found.`;
+
+  const body = [...shown.map(display), display(total)];
+  const table = formatTable(columns, body).split('\n');
+  // Separate the total row from the data rows
+  table.splice(table.length - 1, 0, table[1]);
+  let footer = shown.length < rows.length ? `\n\n(${rows.length - shown.length} more rows not shown; use --limit to change)` : '';
+  const unpriced = data.totals.unpricedModels || [];
+  if (unpriced.length > 0) {
+    footer += `\n\nNo known price for ${unpriced.map(m => m.model).join(', ')}; their usage is not included in costs.`
+      + ' Add them to ~/.claude-spend/pricing.json.';
+  }
+  return `${title}\n\n${table.join('\n')}${footer}`;
+}
+
+module.exports = { buildReport, parseSince, formatTable, fmtCost, GROUPINGS };
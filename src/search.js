@@ -0,0 +1,263 @@
+const { groupTurns } = require('./parser');
+const { projectName } = require('./projects');
+
+// Full-text search over every prompt you sent, for /api/search and
+// `claude-spend search`. Each user turn (see groupTurns in parser.js) is one
+// document. Plain words match the start of words in the prompt, "quoted text"
+// matches as is, and field filters narrow by what the turn did:
+//
+//   auth middleware model:opus project:api cost>2 tools:Bash date:2026-10
+//
+// Every term has to match; a leading - excludes matches instead.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 200;
+const SNIPPET_CHARS = 160;
+const SORTS = ['relevance', 'cost', 'date'];
+
+const UNITS = {
+  tokens: { k: 1e3, m: 1e6 },
+  duration: { s: 1e3, m: 60e3, h: 3600e3 },
+};
+
+// Fields compared as numbers (cost>2, tokens>=500K, duration>5m, rounds>10)
+const NUMERIC_FIELDS = {
+  cost: d => d.cost,
+  tokens: d => d.totalTokens,
+  rounds: d => d.toolRounds,
+  duration: d => d.durationMs,
+};
+
+// Fields matched as text: model:opus is any model that answered the turn
+const TEXT_FIELDS = {
+  model: (d, v) => d.models.some(m => m.toLowerCase().includes(v)),
+  project: (d, v) => d.projectName.toLowerCase().includes(v),
+  tools: (d, v) => d.tools.some(t => t.toLowerCase().includes(v)),
+  date: (d, v) => d.date.startsWith(v),
+  session: (d, v) => d.sessionId.toLowerCase().startsWith(v),
+  source: (d, v) => d.source.toLowerCase() === v,
+};
+const FIELD_ALIASES = { tool: 'tools', models: 'model', repo: 'project' };
+
+function words(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+}
+
+// Documents plus a sorted vocabulary with, for each word, how often it
+// occurs in each document. Rebuilt whenever the parsed data changes.
+function buildSearchIndex(data) {
+  const docs = [];
+  const postings = new Map();
+  for (const session of data.sessions) {
+    const name = session.projectPath ? projectName(session.projectPath) : session.project;
+    for (const t of groupTurns(session.queries)) {
+      const id = docs.length;
+      docs.push({
+        sessionId: session.sessionId,
+        turn: t.turn,
+        project: session.project,
+        projectPath: session.projectPath,
+        projectName: name,
+        source: session.source,
+        date: t.date || 'unknown',
+        timestamp: t.timestamp,
+        prompt: t.prompt || '',
+        text: (t.prompt || '').toLowerCase(),
+        model: t.model,
+        models: t.models.map(m => m.model),
+        tools: Object.keys(t.toolCounts),
+        cost: t.cost,
+        totalTokens: t.totalTokens,
+        toolRounds: t.toolRounds,
+        durationMs: t.durationMs,
+      });
+      for (const word of words(t.prompt || '')) {
+        if (!postings.has(word)) postings.set(word, new Map());
+        const counts = postings.get(word);
+        counts.set(id, (counts.get(id) || 0) + 1);
+      }
+    }
+  }
+  return { docs, postings, vocabulary: [...postings.keys()].sort() };
+}
+
+// Occurrences per document of every word starting with prefix
+function prefixMatches(index, prefix) {
+  const { vocabulary, postings } = index;
+  let lo = 0;
+  let hi = vocabulary.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (vocabulary[mid] < prefix) lo = mid + 1;
+    else hi = mid;
+  }
+  const counts = new Map();
+  for (let i = lo; i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) {
+    for (const [id, n] of postings.get(vocabulary[i])) counts.set(id, (counts.get(id) || 0) + n);
+  }
+  return counts;
+}
+
+// Splits on whitespace, keeping "quoted text" and field:"quoted text" whole
+function tokenize(query) {
+  return String(query).match(/-?[\w.]*(?:[:<>=]+)?"[^"]*"?|\S+/g) || [];
+}
+
+function parseNumber(field, raw) {
+  const m = raw.match(/^(\d+(?:\.\d+)?)\s*([a-z]?)$/i);
+  const units = UNITS[field] || {};
+  const unit = m && m[2].toLowerCase();
+  if (!m || (unit && !units[unit])) {
+    const hint = Object.keys(units).length ? ` (units: ${Object.keys(units).join(', ')})` : '';
+    throw new Error(`Invalid ${field} "${raw}". Use a number${hint}, e.g. ${field}>${field === 'duration' ? '5m' : '2'}`);
+  }
+  // Durations without a unit are minutes
+  return parseFloat(m[1]) * (unit ? units[unit] : field === 'duration' ? units.m : 1);
+}
+
+const COMPARE = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '=': (a, b) => a === b,
+  ':': (a, b) => a === b,
+};
+
+// A search string as free-text terms, phrases and field filters. Throws on an
+// unknown field or a malformed number, so a typo isn't silently ignored.
+function parseQuery(query) {
+  const terms = [];
+  const phrases = [];
+  const filters = [];
+  for (let token of tokenize(query)) {
+    const negate = token.length > 1 && token.startsWith('-');
+    if (negate) token = token.slice(1);
+    const field = token.match(/^([a-z]+)(>=|<=|[:<>=])(.*)$/i);
+    if (field) {
+      const name = FIELD_ALIASES[field[1].toLowerCase()] || field[1].toLowerCase();
+      const op = field[2];
+      const value = field[3].replace(/^"|"$/g, '');
+      if (!value) throw new Error(`Missing value after "${field[1]}${op}"`);
+      if (NUMERIC_FIELDS[name]) {
+        const limit = parseNumber(name, value);
+        const get = NUMERIC_FIELDS[name];
+        filters.push({ negate, test: d => COMPARE[op](get(d), limit) });
+      } else if (name === 'date' && op !== ':' && op !== '=') {
+        // Dates are YYYY-MM-DD strings, so they compare as text
+        filters.push({ negate, test: d => d.date !== 'unknown' && COMPARE[op](d.date, value) });
+      } else if (TEXT_FIELDS[name] && (op === ':' || op === '=')) {
+        const v = value.toLowerCase();
+        filters.push({ negate, test: d => TEXT_FIELDS[name](d, v) });
+      } else if (TEXT_FIELDS[name]) {
+        throw new Error(`"${name}" can't be compared with ${op}. Use ${name}:<text>`);
+      } else {
+        const known = [...Object.keys(TEXT_FIELDS), ...Object.keys(NUMERIC_FIELDS)];
+        throw new Error(`Unknown search field "${field[1]}". Use one of: ${known.join(', ')}`);
+      }
+    } else if (token.startsWith('"')) {
+      const phrase = token.replace(/^"|"$/g, '').toLowerCase().trim();
+      if (phrase) phrases.push({ negate, phrase });
+    } else {
+      for (const word of words(token)) terms.push({ negate, word });
+    }
+  }
+  return { terms, phrases, filters };
+}
+
+// The part of the prompt around the first match, whitespace collapsed
+function snippet(doc, needles) {
+  const text = doc.prompt.replace(/\s+/g, ' ').trim();
+  const lower = text.toLowerCase();
+  const at = needles.map(n => lower.indexOf(n)).filter(i => i !== -1).sort((a, b) => a - b)[0] || 0;
+  const start = Math.max(0, Math.min(at - 40, text.length - SNIPPET_CHARS));
+  const end = Math.min(text.length, start + SNIPPET_CHARS);
+  return (start > 0 ? '...' : '') + text.slice(start, end) + (end < text.length ? '...' : '');
+}
+
+function parseLimit(limit) {
+  if (limit === undefined || limit === null || limit === '') return DEFAULT_LIMIT;
+  const n = Number(limit);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid limit "${limit}". Use a whole number of 1 or more`);
+  return Math.min(n, MAX_LIMIT);
+}
+
+// Every document matching query, with its score, and the words and phrases
+// to highlight
+function findMatches(index, query, scope) {
+  const { terms, phrases, filters } = parseQuery(query);
+  if (terms.length + phrases.length + filters.length === 0) throw new Error('Nothing to search for');
+
+  // Documents containing every wanted word, with how often they occur
+  let scores = null;
+  for (const { word } of terms.filter(t => !t.negate)) {
+    const counts = prefixMatches(index, word);
+    if (scores === null) {
+      scores = counts;
+    } else {
+      for (const id of [...scores.keys()]) {
+        if (counts.has(id)) scores.set(id, scores.get(id) + counts.get(id));
+        else scores.delete(id);
+      }
+    }
+  }
+  if (scores === null) scores = new Map(index.docs.map((d, id) => [id, 0]));
+  for (const { word } of terms.filter(t => t.negate)) {
+    for (const id of prefixMatches(index, word).keys()) scores.delete(id);
+  }
+
+  let results = [];
+  for (const [id, score] of scores) {
+    const doc = index.docs[id];
+    if (!phrases.every(p => doc.text.includes(p.phrase) !== p.negate)) continue;
+    if (!filters.every(f => f.test(doc) !== f.negate)) continue;
+    if (scope && !inScope(doc, scope)) continue;
+    results.push({ doc, score: score + phrases.filter(p => !p.negate).length * 2 });
+  }
+  const needles = [...phrases.filter(p => !p.negate).map(p => p.phrase), ...terms.filter(t => !t.negate).map(t => t.word)];
+  return { results, needles };
+}
+
+// Turns matching query, best first. scope narrows to the dashboard's header
+// filter ({ project, model, source, from, to } from filter.js).
+function search(index, query, { sort = 'relevance', limit, scope = null } = {}) {
+  if (!SORTS.includes(sort)) throw new Error(`Invalid sort "${sort}". Use one of: ${SORTS.join(', ')}`);
+  const max = parseLimit(limit);
+  const { results, needles } = findMatches(index, query, scope);
+
+  const byDate = (a, b) => (b.doc.timestamp || '').localeCompare(a.doc.timestamp || '');
+  const order = {
+    relevance: (a, b) => b.score - a.score || byDate(a, b),
+    cost: (a, b) => b.doc.cost - a.doc.cost,
+    date: byDate,
+  }[sort];
+  results.sort(order);
+
+  return {
+    query: String(query),
+    total: results.length,
+    sort,
+    // What the dashboard highlights in each snippet
+    terms: needles,
+    results: results.slice(0, max).map(({ doc, score }) => {
+      const { text, prompt, ...rest } = doc;
+      return { ...rest, score, snippet: prompt ? snippet(doc, needles) : '(no text)' };
+    }),
+  };
+}
+
+// The sessions with a turn matching query, for narrowing /api/sessions
+function matchingSessions(index, query, scope = null) {
+  return new Set(findMatches(index, query, scope).results.map(({ doc }) => doc.sessionId));
+}
+
+function inScope(doc, { from, to, project, model, source }) {
+  if (from && (doc.date === 'unknown' || doc.date < from)) return false;
+  if (to && (doc.date === 'unknown' || doc.date > to)) return false;
+  if (project && doc.project !== project && doc.projectPath !== project && doc.projectName !== project) return false;
+  if (model && !doc.models.some(m => m === model || m.toLowerCase().includes(model.toLowerCase()))) return false;
+  if (source && doc.source !== source) return false;
+  return true;
+}
+
+module.exports = { buildSearchIndex, search, matchingSessions, parseQuery, SORTS };
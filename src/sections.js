@@ -0,0 +1,26 @@
+const { markDismissed } = require('./insights');
+
+// The dashboard's panels, each served on its own as /api/<name> so none of
+// them carries every session's queries. Sessions and turns are paged
+// separately (sessions.js, turns.js).
+const SECTIONS = {
+  summary: data => ({
+    totals: data.totals,
+    forecast: data.forecast,
+    // What the header filters offer
+    projects: data.projects,
+    models: data.models,
+    sources: data.sources,
+    duplicateFiles: data.duplicateFiles,
+    timeZone: data.timeZone,
+    redaction: data.redaction,
+    turnCount: data.turns.length,
+  }),
+  daily: data => ({ dailyUsage: data.dailyUsage, hourlyUsage: data.hourlyUsage, weekdayHourly: data.weekdayHourly }),
+  models: data => ({ modelBreakdown: data.modelBreakdown }),
+  projects: data => ({ projectBreakdown: data.projectBreakdown }),
+  tools: data => ({ toolBreakdown: data.toolBreakdown }),
+  insights: data => ({ insights: markDismissed(data.insights) }),
+};
+
+module.exports = { SECTIONS };
@@ -1,17 +1,258 @@
+const crypto = require('crypto');
 const express = require('express');
 const path = require('path');
-function createServer() {
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const TOKEN_COOKIE = 'claude-spend-token';
+
+// "localhost:3456" -> "localhost", "[::1]:3456" -> "[::1]"
+function hostName(host) {
+  const name = host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+  return name.toLowerCase();
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function sameToken(given, token) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(token);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Keeps other sites and other machines out. Without a token only requests
+// addressed to localhost are answered, which turns away a page that points
+// its own domain at 127.0.0.1 (DNS rebinding). With one (--host), every
+// request has to carry it: ?token= once, after which it's a cookie, or an
+// Authorization: Bearer header. Browser requests from another origin are
+// refused either way.
+function guardRequests({ token = null } = {}) {
+  return (req, res, next) => {
+    const host = req.headers.host || '';
+    if (!token && !LOOPBACK_HOSTS.includes(hostName(host))) {
+      return res.status(403).json({ error: `Refusing a request for host "${host}". Open the dashboard at http://localhost, or use --host with --token` });
+    }
+    const origin = req.headers.origin;
+    if (origin && origin !== `http://${host}` && origin !== `https://${host}`) {
+      return res.status(403).json({ error: `Refusing a cross-origin request from ${origin}` });
+    }
+    if (!token) return next();
+
+    const auth = req.headers.authorization || '';
+    const given = req.query.token || (auth.startsWith('Bearer ') ? auth.slice(7) : null) || readCookie(req, TOKEN_COOKIE);
+    if (!given || !sameToken(given, token)) {
+      return res.status(401).json({ error: 'Missing or wrong access token. Open the URL with ?token= that claude-spend printed at startup' });
+    }
+    if (req.query.token) {
+      res.cookie(TOKEN_COOKIE, token, { httpOnly: true, sameSite: 'strict' });
+      // Keep the token out of the address bar and history
+      if (req.method === 'GET' && !req.path.startsWith('/api/')) {
+        const params = new URLSearchParams(req.query);
+        params.delete('token');
+        return res.redirect(req.path + (params.toString() ? '?' + params : ''));
+      }
+    }
+    next();
+  };
+}
+
+function createServer({ budgetFlags = [], planFlag = null, timeZoneFlag = null, claudeDirFlags = [], redactFlag = null, token = null } = {}) {
   const app = express();
+  app.use(guardRequests({ token }));
 
-  // Cache parsed data (reparse on demand via refresh endpoint)
+  // Cache parsed data (reparse on demand via refresh endpoint; unchanged
+  // session files are reused from the on-disk index, see cache.js)
   let cachedData = null;
+  // Parses resume from the same cached state, so only one runs at a time.
+  // Whoever asks while one runs shares the next one, which starts after it
+  // and so sees every change made before the request.
+  let parsing = null;
+  let nextParse = null;
 
+  function parse() {
+    if (parsing) {
+      if (!nextParse) {
+        nextParse = parsing.catch(() => {}).then(() => {
+          nextParse = null;
+          return parse();
+        });
+      }
+      return nextParse;
+    }
+    parsing = require('./parser').parseAllSessions({ timeZone: timeZoneFlag, claudeDirs: claudeDirFlags, redact: redactFlag })
+      .then(data => {
+        cachedData = data;
+        return data;
+      })
+      .finally(() => { parsing = null; });
+    return parsing;
+  }
+
+  // The first load waits for the parse already running, if any
+  function getData() {
+    return Promise.resolve(cachedData || parsing || parse());
+  }
+
+  // Filtered views of the current data by filter, so the dashboard's panel,
+  // session and turn requests for one filter summarize it once. Cleared with
+  // each reparse; the oldest goes once there are FILTERED_VIEWS.
+  const FILTERED_VIEWS = 20;
+  let filteredViews = { data: null, views: new Map() };
+
+  // Data narrowed by ?from=&to=&project=&model= (see filter.js), or null
+  // after answering 400 when a parameter is invalid
+  async function getFilteredData(req, res) {
+    const { parseFilter, filterData } = require('./filter');
+    let filter;
+    try {
+      filter = parseFilter(req.query);
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+      return null;
+    }
+    const data = await getData();
+    if (filteredViews.data !== data) filteredViews = { data, views: new Map() };
+    const { views } = filteredViews;
+    const key = JSON.stringify(filter);
+    if (!views.has(key)) {
+      if (views.size >= FILTERED_VIEWS) views.delete(views.keys().next().value);
+      views.set(key, filterData(data, filter));
+    }
+    return views.get(key);
+  }
+
+  // Everything in one response, sessions with all their queries included.
+  // For scripts; the dashboard loads the sections below and pages sessions.
   app.get('/api/data', async (req, res) => {
     try {
-      if (!cachedData) {
-        cachedData = await require('./parser').parseAllSessions();
+      const data = await getFilteredData(req, res);
+      if (!data) return;
+      // Turns can run into the thousands; /api/turns pages through them
+      const { turns, ...rest } = data;
+      res.json({ ...rest, turnCount: turns.length, insights: require('./insights').markDismissed(data.insights) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // /api/summary, /api/daily, /api/models, /api/projects, /api/tools and
+  // /api/insights: one dashboard panel each (see sections.js), narrowed like
+  // /api/data
+  for (const [name, build] of Object.entries(require('./sections').SECTIONS)) {
+    app.get(`/api/${name}`, async (req, res) => {
+      try {
+        const data = await getFilteredData(req, res);
+        if (!data) return;
+        res.json(build(data));
+      } catch (err) {
+        res.status(500).json({ error: err.message });
+      }
+    });
+  }
+
+  // One page of sessions, narrowed like /api/data and, with ?q=, to sessions
+  // with a prompt matching that search. Sorted by ?sort=&order=, paged by
+  // ?page=&pageSize= (see sessions.js).
+  app.get('/api/sessions', async (req, res) => {
+    try {
+      const data = await getFilteredData(req, res);
+      if (!data) return;
+      let page;
+      try {
+        let sessions = data.sessions;
+        if (req.query.q) {
+          const scope = require('./filter').parseFilter(req.query);
+          const matching = require('./search').matchingSessions(await getSearchIndex(), req.query.q, scope);
+          sessions = sessions.filter(s => matching.has(s.sessionId));
+        }
+        page = require('./sessions').pageSessions(sessions, req.query);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      res.json(page);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // One session with its queries and subagents, for the drill-down. Within a
+  // filter, only the matching queries.
+  app.get('/api/sessions/:id', async (req, res) => {
+    try {
+      const data = await getFilteredData(req, res);
+      if (!data) return;
+      const session = data.sessions.find(s => s.sessionId === req.params.id);
+      if (!session) return res.status(404).json({ error: 'Session not found' });
+      res.json(require('./sessions').sessionDetail(session));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // One page of user turns, narrowed like /api/data, sorted by ?sort=&order=
+  // and paged by ?page=&pageSize= (see turns.js)
+  app.get('/api/turns', async (req, res) => {
+    try {
+      const data = await getFilteredData(req, res);
+      if (!data) return;
+      let page;
+      try {
+        page = require('./turns').pageTurns(data.turns, req.query);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
       }
-      res.json(cachedData);
+      res.json(page);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Full-text search over every prompt: ?q= in the query language of
+  // search.js, ?sort=relevance|cost|date, ?limit=, narrowed like /api/data.
+  // The index is built on the first search after each reparse.
+  let searchIndex = null;
+
+  async function getSearchIndex() {
+    const data = await getData();
+    if (!searchIndex || searchIndex.data !== data) searchIndex = { data, index: require('./search').buildSearchIndex(data) };
+    return searchIndex.index;
+  }
+
+  app.get('/api/search', async (req, res) => {
+    try {
+      const index = await getSearchIndex();
+      let result;
+      try {
+        const scope = require('./filter').parseFilter(req.query);
+        result = require('./search').search(index, req.query.q || '', { sort: req.query.sort || 'relevance', limit: req.query.limit, scope });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Dismissed insights are kept in ~/.claude-spend/dismissed.json by key
+  app.post('/api/insights/:key/dismiss', (req, res) => {
+    try {
+      require('./insights').setDismissed(req.params.key, true);
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.delete('/api/insights/:key/dismiss', (req, res) => {
+    try {
+      require('./insights').setDismissed(req.params.key, false);
+      res.json({ ok: true });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -19,9 +260,157 @@ function createServer() {
 
   app.get('/api/refresh', async (req, res) => {
     try {
-      delete require.cache[require.resolve('./parser')];
-      cachedData = await require('./parser').parseAllSessions();
-      res.json({ ok: true, sessions: cachedData.sessions.length });
+      const data = await parse();
+      res.json({ ok: true, sessions: data.sessions.length });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Budgets are re-read on every request so config edits apply without a restart
+  app.get('/api/budgets', async (req, res) => {
+    try {
+      const { resolveBudgets, evaluateBudgets } = require('./budget');
+      const budgets = resolveBudgets(require('./config').loadConfig(), budgetFlags);
+      res.json({ budgets: evaluateBudgets(await getData(), budgets) });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.get('/api/plan', async (req, res) => {
+    try {
+      const { resolvePlan, buildPlanUsage } = require('./plan');
+      const plan = resolvePlan(require('./config').loadConfig(), planFlag);
+      res.json(plan ? buildPlanUsage(await getData(), plan) : { plan: null });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Period-over-period comparison: ?this=week&vs=last-week (see compare.js),
+  // narrowed by ?project=, ?model= and ?source=
+  app.get('/api/compare', async (req, res) => {
+    try {
+      const { comparePeriods } = require('./compare');
+      const data = await getData();
+      let result;
+      try {
+        const { project, model, source } = req.query;
+        const filter = require('./filter').parseFilter({ project, model, source });
+        result = comparePeriods(data, { current: req.query.this || 'week', previous: req.query.vs || null, filter });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      res.json(result);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // One session's full transcript as newline-delimited JSON, written as the
+  // file is read (see transcript.js). Only files of known sessions are served,
+  // with secrets scrubbed unless redaction is off and not at all under full
+  // redaction, where prompts are hidden.
+  app.get('/api/sessions/:id/transcript', async (req, res) => {
+    try {
+      const data = await getData();
+      const session = data.sessions.find(s => s.sessionId === req.params.id);
+      if (!session) return res.status(404).json({ error: `Unknown session ${req.params.id}` });
+      if (data.redaction === 'full') return res.status(403).json({ error: 'Transcripts are hidden with --redact full' });
+      const { scrubEvent } = require('./redact');
+      const maxChars = parseInt(req.query.max, 10);
+
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      // Stop reading the file if the client goes away mid-stream
+      const reading = new AbortController();
+      res.on('close', () => reading.abort());
+      await require('./transcript').readTranscript(session.file, event => {
+        res.write(JSON.stringify(data.redaction === 'none' ? event : scrubEvent(event)) + '\n');
+      }, { signal: reading.signal, ...(maxChars > 0 && { maxChars }) });
+      res.end();
+    } catch (err) {
+      if (res.headersSent) res.end();
+      else res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Live updates over Server-Sent Events. The watcher only runs while at
+  // least one dashboard is connected.
+  const liveClients = new Set();
+  let watcher = null;
+  let reparse = Promise.resolve();
+
+  function broadcast(event, payload) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+    for (const client of liveClients) client.write(message);
+  }
+
+  function onSessionFilesChanged(files) {
+    reparse = reparse.then(async () => {
+      try {
+        const data = await parse();
+        broadcast('update', {
+          // A subagent transcript (<session id>/subagents/agent-*.jsonl) counts for its session
+          sessionIds: [...new Set(files.map(f => path.basename(path.dirname(f)) === 'subagents'
+            ? path.basename(path.dirname(path.dirname(f)))
+            : path.basename(f, '.jsonl')))],
+          sessions: data.sessions.length,
+        });
+      } catch {
+        // Keep serving the last good data; the next change will retry
+      }
+    });
+  }
+
+  app.get('/api/events', (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    liveClients.add(res);
+    if (!watcher) {
+      // Imported archives never change; only config directories are watched
+      const { watchProjects } = require('./watcher');
+      const watchers = require('./sources').resolveSources(claudeDirFlags)
+        .filter(source => source.kind === 'dir')
+        .map(source => watchProjects(path.join(source.dir, 'projects'), onSessionFilesChanged));
+      watcher = { close: () => watchers.forEach(w => w.close()) };
+    }
+
+    // Comment lines keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 30000);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      liveClients.delete(res);
+      if (liveClients.size === 0 && watcher) {
+        watcher.close();
+        watcher = null;
+      }
+    });
+  });
+
+  // Flat exports: /api/export/session, /api/export/prompt, /api/export/query
+  // (?format=csv|json|ndjson, plus the same filters as /api/data)
+  app.get('/api/export/:level', async (req, res) => {
+    const { exportData, FORMATS, LEVELS, CONTENT_TYPES } = require('./export');
+    const format = req.query.format || 'csv';
+    const { level } = req.params;
+    if (!FORMATS.includes(format) || !LEVELS.includes(level)) {
+      return res.status(400).json({ error: `Use /api/export/{${LEVELS.join('|')}}?format={${FORMATS.join('|')}}` });
+    }
+    try {
+      const data = await getFilteredData(req, res);
+      if (!data) return;
+      const body = exportData(data, { format, level });
+      res.type(CONTENT_TYPES[format]);
+      res.attachment(`claude-spend-${level}s.${format}`);
+      res.send(body);
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
@@ -33,4 +422,32 @@ function createServer() {
   return app;
 }
 
-module.exports = { createServer };
+// `claude-spend team`: a dashboard over a directory of anonymized exports
+// (see team.js). The directory is re-read on every request, so new exports
+// show up on reload.
+function createTeamServer({ teamDir, timeZone, token = null }) {
+  const app = express();
+  app.use(guardRequests({ token }));
+
+  app.get('/api/team', (req, res) => {
+    try {
+      const { loadTeamExports, summarizeTeam } = require('./team');
+      let range;
+      try {
+        const { from, to } = require('./filter').parseFilter({ from: req.query.from, to: req.query.to });
+        range = { from, to };
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      res.json(summarizeTeam(loadTeamExports(teamDir), { timeZone, ...range }));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'public', 'team.html')));
+
+  return app;
+}
+
+module.exports = { createServer, createTeamServer };
@@ -0,0 +1,34 @@
+const { pageRows } = require('./turns');
+
+// Sorting and paging for the dashboard's All Sessions table (/api/sessions).
+// A row is a session without its queries and subagents, which can run to
+// megabytes across thousands of sessions; /api/sessions/:id has them.
+
+const SESSION_SORTS = {
+  date: s => s.timestamp || '',
+  prompt: s => s.firstPrompt.toLowerCase(),
+  model: s => s.model,
+  queries: s => s.queryCount,
+  tokens: s => s.totalTokens,
+  input: s => s.inputTokens,
+  output: s => s.outputTokens,
+  cost: s => s.cost,
+};
+
+function sessionRow({ queries, subagents, compactions, file, ...row }) {
+  return row;
+}
+
+// The whole session for the drill-down, minus the transcript's path on disk
+function sessionDetail({ file, ...session }) {
+  return session;
+}
+
+// One page of session rows, with ?sort=, ?order=, ?page= and ?pageSize= (see
+// pageRows in turns.js)
+function pageSessions(sessions, { sort = 'tokens', ...options } = {}) {
+  const { rows, ...page } = pageRows(sessions, SESSION_SORTS, { sort, ...options });
+  return { sessions: rows.map(sessionRow), ...page };
+}
+
+module.exports = { pageSessions, sessionRow, sessionDetail, SESSION_SORTS };
@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const { filterData } = require('./filter');
+const { evaluateBudgets } = require('./budget');
+const { buildPlanUsage } = require('./plan');
+const { comparePeriods } = require('./compare');
+const { SECTIONS } = require('./sections');
+const { sessionDetail } = require('./sessions');
+
+// `claude-spend snapshot`: the dashboard as one HTML file with its data
+// embedded, to attach to a review or archive. It opens from disk without a
+// server: the page answers its own API calls from the embedded data, and what
+// needs a running server (live updates, refresh, filters, transcripts) is
+// left out.
+
+const DASHBOARD = path.join(__dirname, 'public', 'index.html');
+
+// The options of the dashboard's Compare Periods selects; each pair is
+// computed up front so the controls keep working
+const COMPARE_CURRENT = ['week', 'month', '7d', '30d', 'today'];
+const COMPARE_PREVIOUS = ['', 'last-week', 'last-month', 'yesterday'];
+
+// JSON that is safe inside a <script> element
+function inlineJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Everything the dashboard fetches, for the usage in filter (see filter.js).
+// Prompts are as redacted as data was parsed (see redact.js).
+function buildSnapshotData(data, { filter, budgets = [], plan = null, now = new Date() }) {
+  const view = filterData(data, filter);
+
+  const compare = {};
+  const { project, model, source } = filter;
+  for (const current of COMPARE_CURRENT) {
+    for (const previous of COMPARE_PREVIOUS) {
+      compare[`${current}..${previous}`] = comparePeriods(data, { current, previous: previous || null, filter: { project, model, source }, now });
+    }
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    since: filter.from,
+    redaction: data.redaction,
+    // The dashboard's panels (sections.js), plus the sessions and turns it
+    // pages through
+    sections: Object.fromEntries(Object.entries(SECTIONS).map(([name, build]) => [name, build(view)])),
+    sessions: view.sessions.map(sessionDetail),
+    turns: view.turns,
+    budgets: evaluateBudgets(data, budgets, { now }),
+    plan: plan ? buildPlanUsage(data, plan, { now: now.getTime() }) : { plan: null },
+    compare,
+  };
+}
+
+function buildSnapshot(data, options) {
+  const snapshot = buildSnapshotData(data, options);
+  const html = fs.readFileSync(DASHBOARD, 'utf-8');
+  const generated = snapshot.generatedAt.split('T')[0];
+  return html
+    .replace('<title>Claude Spend</title>', `<title>Claude Spend snapshot ${generated}</title>`)
+    .replace('<script>', () => `<script>window.CLAUDE_SPEND_SNAPSHOT = ${inlineJson(snapshot)};</script>\n<script>`);
+}
+
+module.exports = { buildSnapshot, buildSnapshotData };
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { getDataDir } = require('./config');
+const { readArchive } = require('./archive');
+
+// Session files come from Claude Code config directories (~/.claude,
+// $CLAUDE_CONFIG_DIR or --claude-dir) and from archives of another machine's
+// projects/ folder, unpacked by `claude-spend import` under
+// ~/.claude-spend/imports/<name>. Every session is tagged with its source.
+
+const SOURCE_NAME = /^[\w.-]+$/;
+
+function expandHome(dir) {
+  return dir === '~' || dir.startsWith('~/') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+// Claude Code itself honours CLAUDE_CONFIG_DIR in place of ~/.claude
+function defaultClaudeDir() {
+  const dir = process.env.CLAUDE_CONFIG_DIR;
+  return dir ? path.resolve(expandHome(dir)) : path.join(os.homedir(), '.claude');
+}
+
+function getImportsDir() {
+  return path.join(getDataDir(), 'imports');
+}
+
+// ~/.claude is "local", "/mnt/vm/home/me/.claude" is "me" and "/data/devbox"
+// is "devbox"
+function nameFromDir(dir) {
+  if (dir === path.join(os.homedir(), '.claude')) return 'local';
+  const base = path.basename(dir);
+  const name = base === '.claude' ? path.basename(path.dirname(dir)) : base.replace(/^\./, '');
+  return name.replace(/[^\w.-]+/g, '-') || 'claude';
+}
+
+// --claude-dir values: a directory, optionally named as name=dir
+function parseDirFlag(value) {
+  const named = value.match(/^([\w.-]+)=(.+)$/);
+  const dir = path.resolve(expandHome(named ? named[2] : value));
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`--claude-dir ${value}: no such directory${/\.(zip|tar|tgz|gz)$/i.test(value) ? '. Archives are added with claude-spend import' : ''}`);
+  }
+  return { name: named ? named[1] : nameFromDir(dir), dir };
+}
+
+function listImports() {
+  let entries;
+  try {
+    entries = fs.readdirSync(getImportsDir(), { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(e => e.isDirectory() && SOURCE_NAME.test(e.name) && !e.name.endsWith('.tmp'))
+    .map(e => ({ name: e.name, dir: path.join(getImportsDir(), e.name), kind: 'import' }));
+}
+
+// --claude-dir flags replace the default directory; imports are always read.
+// A directory listed twice (or through a symlink) is read once, and names are
+// made unique.
+function resolveSources(claudeDirs = []) {
+  const dirs = claudeDirs.length > 0 ? claudeDirs.map(parseDirFlag) : [{ name: 'local', dir: defaultClaudeDir() }];
+  const sources = [];
+  const seenDirs = new Set();
+  const names = new Set();
+  for (const source of [...dirs.map(d => ({ ...d, kind: 'dir' })), ...listImports()]) {
+    let real;
+    try {
+      real = fs.realpathSync(source.dir);
+    } catch {
+      real = source.dir;
+    }
+    if (seenDirs.has(real)) continue;
+    seenDirs.add(real);
+    let name = source.name;
+    for (let i = 2; names.has(name); i++) name = `${source.name}-${i}`;
+    names.add(name);
+    sources.push({ ...source, name });
+  }
+  return sources;
+}
+
+function listDir(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+}
+
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return -1;
+  }
+}
+
+// Every session and subagent transcript across sources, grouped by project
+// directory. Files are matched by their path under projects/, so a session
+// that shows up in two sources (a synced folder, an archive of this machine)
+// counts once: the largest copy is kept, as it has the most of the session.
+function collectSessionFiles(sources) {
+  const byPath = new Map();
+  let duplicates = 0;
+  const add = (relativePath, file) => {
+    file.size = fileSize(file.filePath);
+    const existing = byPath.get(relativePath);
+    if (existing) duplicates++;
+    if (!existing || file.size > existing.size) byPath.set(relativePath, file);
+  };
+
+  for (const source of sources) {
+    const projectsDir = path.join(source.dir, 'projects');
+    for (const project of listDir(projectsDir)) {
+      if (!project.isDirectory()) continue;
+      const dir = path.join(projectsDir, project.name);
+      for (const entry of listDir(dir)) {
+        if (entry.isFile() && entry.name.endsWith('.jsonl')) {
+          add(`${project.name}/${entry.name}`, {
+            projectDir: project.name,
+            fileId: path.basename(entry.name, '.jsonl'),
+            filePath: path.join(dir, entry.name),
+            source: source.name,
+          });
+        } else if (entry.isDirectory()) {
+          // Subagent transcripts live in <session id>/subagents/
+          const subagentDir = path.join(dir, entry.name, 'subagents');
+          for (const sub of listDir(subagentDir)) {
+            if (!sub.isFile() || !sub.name.endsWith('.jsonl')) continue;
+            add(`${project.name}/${entry.name}/subagents/${sub.name}`, {
+              projectDir: project.name,
+              parentId: entry.name,
+              fileId: path.basename(sub.name, '.jsonl'),
+              filePath: path.join(subagentDir, sub.name),
+              source: source.name,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  const projects = new Map();
+  for (const file of byPath.values()) {
+    if (!projects.has(file.projectDir)) projects.set(file.projectDir, []);
+    projects.get(file.projectDir).push(file);
+  }
+  return { projects, duplicates };
+}
+
+// Where an archive entry goes inside an import: archives may hold the whole
+// config dir (.claude/projects/...), the projects folder itself
+// (projects/...) or just its contents (<project>/<session>.jsonl). Returns
+// null for anything that isn't a transcript or history file, and for paths
+// that would escape the import directory.
+function importPath(entryName) {
+  const parts = entryName.replace(/\\/g, '/').split('/').filter(p => p && p !== '.');
+  if (parts.length === 0 || parts.includes('..') || /^[a-zA-Z]:$/.test(parts[0]) || entryName.startsWith('/')) return null;
+  if (!parts[parts.length - 1].endsWith('.jsonl')) return null;
+  const projectsAt = parts.indexOf('projects');
+  let rest;
+  if (projectsAt !== -1) {
+    rest = parts.slice(projectsAt + 1);
+  } else if (parts[parts.length - 1] === 'history.jsonl' && parts.length <= 2) {
+    return 'history.jsonl';
+  } else {
+    rest = parts;
+  }
+  // <project>/<session>.jsonl or <project>/<session>/subagents/<agent>.jsonl
+  const isSession = rest.length === 2 || (rest.length === 4 && rest[2] === 'subagents');
+  return isSession ? path.join('projects', ...rest) : null;
+}
+
+// Unpacks an archive into ~/.claude-spend/imports/<name>, replacing an
+// earlier import of the same name. Returns the source and its file count.
+async function importArchive(archivePath, { name } = {}) {
+  if (!fs.existsSync(archivePath)) throw new Error(`No such file: ${archivePath}`);
+  const sourceName = name || path.basename(archivePath).replace(/\.(zip|tgz|tar\.gz|tar)$/i, '').replace(/[^\w.-]+/g, '-');
+  if (!SOURCE_NAME.test(sourceName)) throw new Error(`Invalid source name "${sourceName}". Use letters, digits, dots, dashes and underscores`);
+
+  const target = path.join(getImportsDir(), sourceName);
+  // Unpacked next to the target first, so a failed import leaves the old one in place
+  const staging = `${target}.${process.pid}.tmp`;
+  fs.rmSync(staging, { recursive: true, force: true });
+  let files = 0;
+  try {
+    await readArchive(archivePath, (entryName, data) => {
+      const relative = importPath(entryName);
+      if (!relative) return;
+      const dest = path.join(staging, relative);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.writeFileSync(dest, data);
+      files++;
+    }).catch(err => {
+      throw new Error(`Could not read ${archivePath}: ${err.message}`);
+    });
+    if (files === 0) throw new Error(`${archivePath} has no Claude Code session files (expected projects/<project>/<session>.jsonl)`);
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.renameSync(staging, target);
+  } catch (err) {
+    fs.rmSync(staging, { recursive: true, force: true });
+    throw err;
+  }
+  return { name: sourceName, dir: target, files };
+}
+
+function removeImport(name) {
+  const dir = path.join(getImportsDir(), name);
+  if (!SOURCE_NAME.test(name) || !fs.existsSync(dir)) throw new Error(`No imported source named "${name}"`);
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+module.exports = { resolveSources, collectSessionFiles, importArchive, removeImport, defaultClaudeDir };
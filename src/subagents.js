@@ -0,0 +1,131 @@
+// Links subagent (sidechain) transcripts back to the Task tool call that
+// spawned them. Claude Code records subagents either inline in the parent
+// session file (entries marked isSidechain) or in their own transcript files:
+// <project>/agent-<id>.jsonl in older versions, and
+// <project>/<sessionId>/subagents/agent-<id>.jsonl in newer ones.
+
+const TASK_TOOLS = ['Task', 'Agent'];
+
+function normalizePrompt(text) {
+  return (text || '').trim().substring(0, 500);
+}
+
+// Returns the session's queries with subagent queries placed right after the
+// query that issued their Task call, plus a tree of subagent summaries.
+// Subagent queries carry agentId, no userPrompt and the turn of the query that
+// spawned them, so their cost counts toward the user turn that started them.
+function buildSessionTree(mainState, subagentStates = []) {
+  const nodes = [];
+  const owners = [{ node: null, state: mainState }];
+
+  // Inline sidechain queries stay where they are in the main file
+  const inlineGroups = {};
+  for (const q of mainState.queries) {
+    if (!q.agentId) continue;
+    if (!inlineGroups[q.agentId]) inlineGroups[q.agentId] = [];
+    inlineGroups[q.agentId].push(q);
+  }
+  for (const [agentId, queries] of Object.entries(inlineGroups)) {
+    nodes.push({ agentId, queries, inline: true, state: null });
+  }
+  for (const state of subagentStates) {
+    if (state.queries.length === 0) continue;
+    const node = { agentId: state.agentId, queries: state.queries, inline: false, state };
+    nodes.push(node);
+    owners.push({ node, state });
+  }
+
+  // Link each subagent to its Task call: by the agentId reported in the Task's
+  // tool_result when available, otherwise by matching the Task prompt.
+  const claimed = new Set();
+  for (const node of nodes) {
+    const prompt = normalizePrompt(node.queries[0].userPrompt);
+    let match = null;
+    for (const pass of ['agentId', 'prompt']) {
+      for (const owner of owners) {
+        if (owner.node === node) continue;
+        for (const [toolUseId, call] of Object.entries(owner.state.taskCalls || {})) {
+          if (claimed.has(toolUseId)) continue;
+          const hit = pass === 'agentId'
+            ? call.agentId && call.agentId === node.agentId
+            : call.prompt && call.prompt === prompt;
+          if (hit) { match = { owner, toolUseId, call }; break; }
+        }
+        if (match) break;
+      }
+      if (match) break;
+    }
+    node.prompt = node.queries[0].userPrompt;
+    if (match) {
+      claimed.add(match.toolUseId);
+      node.toolUseId = match.toolUseId;
+      node.description = match.call.description || null;
+      node.subagentType = match.call.subagentType || null;
+      node.parent = match.owner.node;
+      node.parentQueryIndex = match.call.queryIndex;
+    } else {
+      node.toolUseId = null;
+      node.parent = null;
+      node.parentQueryIndex = Infinity;
+    }
+    node.children = [];
+  }
+  for (const node of nodes) {
+    if (node.parent) node.parent.children.push(node);
+  }
+  const roots = nodes.filter(n => !n.parent);
+
+  function asSubagentQuery(q, agentId, turn) {
+    return { ...q, userPrompt: null, agentId, turn };
+  }
+
+  // Flatten: queries of an owner, with file-based children spliced in after
+  // the query that spawned them. Inline children are already in place.
+  // A subagent's own transcript numbers its turns from 1; turn is the main
+  // thread's turn it belongs to.
+  function flatten(queries, children, agentId, turn) {
+    const out = [];
+    const spliced = children.filter(c => !c.inline).sort((a, b) => (a.parentQueryIndex - b.parentQueryIndex) || 0);
+    let next = 0;
+    queries.forEach((q, i) => {
+      const owner = agentId ? turn : q.turn;
+      out.push(q.agentId || agentId ? asSubagentQuery(q, q.agentId || agentId, owner) : q);
+      while (next < spliced.length && spliced[next].parentQueryIndex === i) {
+        out.push(...flatten(spliced[next].queries, spliced[next].children, spliced[next].agentId || 'subagent', owner));
+        next++;
+      }
+    });
+    // Unlinked subagents (or ones whose Task call isn't in this file yet) go
+    // last, in the last turn
+    const lastTurn = agentId ? turn : queries[queries.length - 1]?.turn;
+    for (; next < spliced.length; next++) {
+      out.push(...flatten(spliced[next].queries, spliced[next].children, spliced[next].agentId || 'subagent', lastTurn));
+    }
+    return out;
+  }
+  const queries = flatten(mainState.queries, roots, null, null);
+
+  // Required here: parser.js requires this module while it loads
+  const { sumQueries } = require('./parser');
+  function summarize(node) {
+    const children = node.children.map(summarize);
+    const own = sumQueries(node.queries);
+    const subtreeCost = own.cost + children.reduce((s, c) => s + c.subtreeCost, 0);
+    const subtreeTokens = own.totalTokens + children.reduce((s, c) => s + c.subtreeTokens, 0);
+    return {
+      agentId: node.agentId || null,
+      toolUseId: node.toolUseId,
+      description: node.description || null,
+      subagentType: node.subagentType || null,
+      prompt: (node.prompt || '').substring(0, 300),
+      ...own,
+      subtreeCost,
+      subtreeTokens,
+      children,
+    };
+  }
+
+  return { queries, subagents: roots.map(summarize) };
+}
+
+module.exports = { buildSessionTree, TASK_TOOLS };
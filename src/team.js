@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { projectName } = require('./projects');
+const { createCalendar } = require('./timezone');
+
+// Team mode: each developer runs `claude-spend export --anonymize` and hands
+// the file over; `claude-spend team <dir>` merges every export in a directory.
+// Nothing is uploaded anywhere, the files are the only channel.
+
+const TEAM_FORMAT = 'claude-spend-team';
+const TEAM_VERSION = 1;
+const TOP_PROMPTS = 10;
+// People with fewer queries than this are left off the cache hit leaderboard,
+// where a handful of requests would rank on luck
+const LEADERBOARD_MIN_QUERIES = 20;
+
+// A hash is short enough to read in the dashboard. Short values like repo
+// names are easy to guess from their hash: this keeps them out of plain
+// sight, it doesn't make them secret.
+function hashId(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 12);
+}
+
+// Projects are identified by their whole path, so two repos that share a
+// name don't merge. Paths under the home directory are taken relative to
+// it, which lines up checkouts of people who keep repos in the same place.
+function projectKey(session) {
+  if (!session.projectPath) return session.project;
+  const relative = path.relative(os.homedir(), session.projectPath);
+  return relative && !relative.startsWith('..') && !path.isAbsolute(relative)
+    ? '~/' + relative.split(path.sep).join('/')
+    : session.projectPath;
+}
+
+// Per-query usage with hashed session and project ids. Prompts are left out
+// unless includePrompts is set (then kept on the first response to each);
+// project names only with projectNames.
+function buildTeamExport(data, { person, includePrompts = false, projectNames = false, now = new Date() } = {}) {
+  if (!person) throw new Error('A team export needs --person <name>, the name it shows under in the team dashboard');
+  const projects = {};
+  const queries = [];
+  for (const s of data.sessions) {
+    const name = s.projectPath ? projectName(s.projectPath) : s.project;
+    const project = hashId(projectKey(s));
+    projects[project] = projectNames ? name : null;
+    const session = hashId(s.sessionId);
+    s.queries.forEach(q => {
+      const row = {
+        session,
+        project,
+        timestamp: q.assistantTimestamp,
+        model: q.model,
+        inputTokens: q.inputTokens,
+        cacheCreationTokens: q.cacheCreationTokens,
+        cacheReadTokens: q.cacheReadTokens,
+        outputTokens: q.outputTokens,
+        cost: q.cost,
+        tools: q.tools,
+      };
+      if (q.agentId) row.subagent = true;
+      if (includePrompts && !q.agentId && q.userPrompt) row.prompt = q.userPrompt;
+      queries.push(row);
+    });
+  }
+  return {
+    format: TEAM_FORMAT,
+    version: TEAM_VERSION,
+    person,
+    exportedAt: now.toISOString(),
+    timeZone: data.timeZone,
+    prompts: includePrompts,
+    projects,
+    queries,
+  };
+}
+
+// Every *.json export in dir. Files that aren't exports are reported rather
+// than failing the whole team, and when one person has several exports the
+// newest is used.
+function loadTeamExports(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir).filter(n => n.endsWith('.json')).sort();
+  } catch (err) {
+    throw new Error(`Could not read ${dir}: ${err.message}`);
+  }
+  const byPerson = new Map();
+  const skipped = [];
+  for (const name of names) {
+    let exported;
+    try {
+      exported = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+    } catch (err) {
+      skipped.push({ file: name, reason: err.message });
+      continue;
+    }
+    if (exported?.format !== TEAM_FORMAT || !Array.isArray(exported.queries) || !exported.person) {
+      skipped.push({ file: name, reason: 'not a claude-spend team export' });
+      continue;
+    }
+    if (exported.version > TEAM_VERSION) {
+      skipped.push({ file: name, reason: `made by a newer claude-spend (format version ${exported.version})` });
+      continue;
+    }
+    const existing = byPerson.get(exported.person);
+    const newer = !existing || exported.exportedAt > existing.exportedAt;
+    if (existing) skipped.push({ file: newer ? existing.file : name, reason: `a newer export of ${exported.person} is used` });
+    if (newer) byPerson.set(exported.person, { ...exported, file: name });
+  }
+  return { exports: [...byPerson.values()], skipped };
+}
+
+function emptyRow() {
+  return { cost: 0, totalTokens: 0, inputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, outputTokens: 0, queries: 0, sessions: new Set() };
+}
+
+function addQuery(row, q) {
+  row.inputTokens += q.inputTokens || 0;
+  row.cacheCreationTokens += q.cacheCreationTokens || 0;
+  row.cacheReadTokens += q.cacheReadTokens || 0;
+  row.outputTokens += q.outputTokens || 0;
+  row.totalTokens += (q.inputTokens || 0) + (q.cacheCreationTokens || 0) + (q.cacheReadTokens || 0) + (q.outputTokens || 0);
+  row.cost += q.cost || 0;
+  row.queries += 1;
+  row.sessions.add(q.session);
+}
+
+// Sets become counts and the cache hit rate is derived
+function finishRow(row) {
+  const { sessions, ...rest } = row;
+  const allInput = row.inputTokens + row.cacheCreationTokens + row.cacheReadTokens;
+  return { ...rest, sessions: sessions.size, cacheHitRate: allInput > 0 ? row.cacheReadTokens / allInput : 0 };
+}
+
+function modelMix(models, cost) {
+  return Object.entries(models)
+    .map(([model, row]) => ({ model, ...finishRow(row), share: cost > 0 ? row.cost / cost : 0 }))
+    .sort((a, b) => b.cost - a.cost);
+}
+
+// Per-person, per-repo, per-model and per-day totals, optionally limited to
+// from..to (inclusive YYYY-MM-DD dates in timeZone)
+function summarizeTeam({ exports, skipped = [] }, { timeZone, from = null, to = null } = {}) {
+  const calendar = createCalendar(timeZone);
+  const team = emptyRow();
+  const people = {};
+  const repos = {};
+  const models = {};
+  const tools = {};
+  const daily = {};
+  const repoNames = {};
+  const prompts = [];
+
+  for (const exported of exports) {
+    const person = exported.person;
+    for (const [hash, name] of Object.entries(exported.projects || {})) {
+      if (name) repoNames[hash] = name;
+    }
+    // Responses after a prompt belong to it until the session's next prompt
+    const openPrompts = {};
+    for (const q of exported.queries) {
+      if (q.prompt) {
+        openPrompts[q.session] = { person, repo: q.project, timestamp: q.timestamp, prompt: q.prompt.substring(0, 300), cost: 0, totalTokens: 0, queries: 0 };
+        prompts.push(openPrompts[q.session]);
+      }
+      const date = calendar.parts(q.timestamp)?.date;
+      if (!date || (from && date < from) || (to && date > to)) continue;
+      // Sessions are only unique within one person's export
+      const scoped = { ...q, session: `${person}:${q.session}` };
+      const prompt = openPrompts[q.session];
+      if (prompt) {
+        prompt.cost += q.cost || 0;
+        prompt.totalTokens += (q.inputTokens || 0) + (q.cacheCreationTokens || 0) + (q.cacheReadTokens || 0) + (q.outputTokens || 0);
+        prompt.queries += 1;
+      }
+
+      addQuery(team, scoped);
+      if (!people[person]) people[person] = { ...emptyRow(), models: {}, repos: new Set(), days: new Set() };
+      const p = people[person];
+      addQuery(p, scoped);
+      p.repos.add(q.project);
+      p.days.add(date);
+      if (!p.models[q.model]) p.models[q.model] = emptyRow();
+      addQuery(p.models[q.model], scoped);
+
+      if (!repos[q.project]) repos[q.project] = { ...emptyRow(), people: {} };
+      addQuery(repos[q.project], scoped);
+      repos[q.project].people[person] = (repos[q.project].people[person] || 0) + (q.cost || 0);
+
+      if (!models[q.model]) models[q.model] = emptyRow();
+      addQuery(models[q.model], scoped);
+
+      for (const tool of q.tools || []) tools[tool] = (tools[tool] || 0) + 1;
+
+      if (!daily[date]) daily[date] = { date, cost: 0, totalTokens: 0, people: {} };
+      daily[date].cost += q.cost || 0;
+      daily[date].totalTokens += (q.inputTokens || 0) + (q.cacheCreationTokens || 0) + (q.cacheReadTokens || 0) + (q.outputTokens || 0);
+      daily[date].people[person] = (daily[date].people[person] || 0) + (q.cost || 0);
+    }
+  }
+
+  const totals = finishRow(team);
+  const share = cost => (totals.cost > 0 ? cost / totals.cost : 0);
+
+  const peopleRows = Object.entries(people).map(([person, row]) => {
+    const { models: personModels, repos: personRepos, days, ...usage } = row;
+    const exported = exports.find(e => e.person === person);
+    return {
+      person,
+      ...finishRow(usage),
+      share: share(row.cost),
+      repos: personRepos.size,
+      activeDays: days.size,
+      costPerActiveDay: days.size > 0 ? row.cost / days.size : 0,
+      models: modelMix(personModels, row.cost),
+      exportedAt: exported.exportedAt,
+    };
+  }).sort((a, b) => b.cost - a.cost);
+
+  const repoRows = Object.entries(repos).map(([hash, row]) => {
+    const { people: byPerson, ...usage } = row;
+    return {
+      repo: hash,
+      name: repoNames[hash] || null,
+      ...finishRow(usage),
+      share: share(row.cost),
+      people: Object.entries(byPerson).map(([person, cost]) => ({ person, cost })).sort((a, b) => b.cost - a.cost),
+    };
+  }).sort((a, b) => b.cost - a.cost);
+
+  const dates = Object.keys(daily).sort();
+  return {
+    timeZone: calendar.timeZone,
+    from: from || dates[0] || null,
+    to: to || dates[dates.length - 1] || null,
+    totals: { ...totals, people: peopleRows.length, repos: repoRows.length },
+    people: peopleRows,
+    repos: repoRows,
+    models: modelMix(models, totals.cost),
+    cacheLeaderboard: peopleRows
+      .filter(p => p.queries >= LEADERBOARD_MIN_QUERIES)
+      .map(p => ({ person: p.person, cacheHitRate: p.cacheHitRate, queries: p.queries }))
+      .sort((a, b) => b.cacheHitRate - a.cacheHitRate),
+    // Only from exports that kept their prompts
+    topPrompts: prompts.filter(p => p.queries > 0).sort((a, b) => b.cost - a.cost).slice(0, TOP_PROMPTS),
+    tools: Object.entries(tools).map(([tool, calls]) => ({ tool, calls })).sort((a, b) => b.calls - a.calls),
+    daily: dates.map(d => daily[d]),
+    exports: exports.map(e => ({ person: e.person, file: e.file, exportedAt: e.exportedAt, queries: e.queries.length, prompts: !!e.prompts })),
+    skipped,
+  };
+}
+
+module.exports = { buildTeamExport, loadTeamExports, summarizeTeam, TEAM_FORMAT };
@@ -0,0 +1,62 @@
+// Usage is attributed to days and hours in one timezone: --timezone, then
+// "timezone" in ~/.claude-spend/config.json, then the system zone
+
+function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+function resolveTimeZone(config = {}, flag) {
+  const timeZone = flag || config.timezone || systemTimeZone();
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`Unknown timezone "${timeZone}". Use an IANA name like Europe/Berlin or America/New_York`);
+  }
+  return timeZone;
+}
+
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Local date, hour and weekday (0 = Sunday) of timestamps in timeZone, and
+// the minutes since local midnight. Every UTC offset is a multiple of 15
+// minutes, so results are memoized per quarter hour instead of formatting
+// each timestamp.
+function createCalendar(timeZone) {
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    weekday: 'short',
+  });
+  const memo = new Map();
+
+  function parts(timestamp) {
+    const ms = Date.parse(timestamp);
+    if (isNaN(ms)) return null;
+    const bucket = Math.floor(ms / QUARTER_HOUR_MS);
+    if (!memo.has(bucket)) {
+      const p = Object.fromEntries(format.formatToParts(new Date(bucket * QUARTER_HOUR_MS)).map(x => [x.type, x.value]));
+      memo.set(bucket, { date: `${p.year}-${p.month}-${p.day}`, hour: parseInt(p.hour, 10), minute: parseInt(p.minute, 10), weekday: WEEKDAYS[p.weekday] });
+    }
+    return memo.get(bucket);
+  }
+
+  function minuteOfDay(timestamp) {
+    const local = parts(timestamp);
+    if (!local) return null;
+    // parts() describes the start of the quarter hour
+    return local.hour * 60 + local.minute + (Date.parse(timestamp) % QUARTER_HOUR_MS) / 60_000;
+  }
+
+  return { timeZone, parts, minuteOfDay };
+}
+
+// Day of the week (0 = Sunday) of a YYYY-MM-DD date
+const weekdayOf = date => new Date(date + 'T00:00:00Z').getUTCDay();
+
+module.exports = { resolveTimeZone, createCalendar, systemTimeZone, weekdayOf };
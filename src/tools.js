@@ -0,0 +1,61 @@
+// MCP tools are named mcp__<server>__<tool>
+function parseToolName(name) {
+  const match = name.match(/^mcp__(.+?)__(.+)$/);
+  return match ? { server: match[1], tool: match[2] } : { server: null, tool: name };
+}
+
+function emptyToolRow() {
+  return { calls: 0, turns: 0, totalTokens: 0, cost: 0, resultChars: 0 };
+}
+
+function addTurn(row, q, calls, resultChars) {
+  row.calls += calls;
+  row.turns += 1;
+  row.totalTokens += q.totalTokens;
+  row.cost += q.cost;
+  row.resultChars += resultChars;
+}
+
+// Per-tool usage: how often each tool was called, the tokens and cost of the
+// API calls ("turns") that invoked it, and how much text its results put back
+// into the context. A turn that calls several tools counts toward each of them.
+// MCP tools are also rolled up per server.
+function buildToolBreakdown(sessions) {
+  const toolMap = {};
+  const serverMap = {};
+  for (const session of sessions) {
+    for (const q of session.queries) {
+      const calls = {};
+      for (const name of q.tools) calls[name] = (calls[name] || 0) + 1;
+      const resultChars = q.toolResultChars || {};
+
+      const turnServers = {};
+      for (const [name, count] of Object.entries(calls)) {
+        const { server, tool } = parseToolName(name);
+        if (!toolMap[name]) toolMap[name] = { name, server, tool, ...emptyToolRow() };
+        addTurn(toolMap[name], q, count, resultChars[name] || 0);
+
+        if (server) {
+          if (!turnServers[server]) turnServers[server] = { calls: 0, resultChars: 0 };
+          turnServers[server].calls += count;
+          turnServers[server].resultChars += resultChars[name] || 0;
+        }
+      }
+      for (const [server, t] of Object.entries(turnServers)) {
+        if (!serverMap[server]) serverMap[server] = { server, tools: [], ...emptyToolRow() };
+        addTurn(serverMap[server], q, t.calls, t.resultChars);
+      }
+    }
+  }
+
+  const tools = Object.values(toolMap).sort((a, b) => b.calls - a.calls);
+  for (const t of tools) {
+    if (t.server) serverMap[t.server].tools.push(t.name);
+  }
+  return {
+    tools,
+    mcpServers: Object.values(serverMap).sort((a, b) => b.resultChars - a.resultChars),
+  };
+}
+
+module.exports = { buildToolBreakdown, parseToolName };
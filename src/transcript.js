@@ -0,0 +1,192 @@
+const fs = require('fs');
+const readline = require('readline');
+const { loadPricing, priceQuery } = require('./pricing');
+
+// A session transcript as a stream of display events, one per user message,
+// API response, tool result, slash command or compaction. Tool inputs and
+// results are cut to maxChars; `chars` keeps the full size, since that is
+// what went into the context.
+
+function truncate(text, maxChars) {
+  return text.length > maxChars ? text.slice(0, maxChars) : text;
+}
+
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(b => {
+    if (b.type === 'text') return b.text || '';
+    if (b.type === 'image') return '[image]';
+    return '';
+  }).filter(Boolean).join('\n');
+}
+
+function tagValue(text, tag) {
+  const match = text.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? match[1].trim() : '';
+}
+
+// The one input field that says what a call did: the command, file, pattern...
+const SUMMARY_FIELDS = ['command', 'file_path', 'notebook_path', 'path', 'pattern', 'url', 'query', 'description'];
+
+function toolSummary(input) {
+  if (!input || typeof input !== 'object') return null;
+  const field = SUMMARY_FIELDS.find(f => typeof input[f] === 'string' && input[f]);
+  return field ? truncate(input[field], 200) : null;
+}
+
+function newAssistantEvent(entry) {
+  return {
+    type: 'assistant',
+    id: entry.message.id || entry.requestId || null,
+    uuid: entry.uuid || null,
+    timestamp: entry.timestamp || null,
+    model: entry.message.model || 'unknown',
+    isSidechain: !!entry.isSidechain,
+    text: '',
+    toolUses: [],
+    usage: null,
+    serviceTier: 'standard',
+    cacheWrite1hTokens: 0,
+  };
+}
+
+// Streamed lines of one response each repeat its usage; keep the largest counts
+function mergeAssistantEntry(event, entry, maxChars, toolNames) {
+  for (const block of Array.isArray(entry.message.content) ? entry.message.content : []) {
+    if (block.type === 'text' && block.text) {
+      event.text += (event.text ? '\n' : '') + block.text;
+    } else if (block.type === 'tool_use') {
+      const input = JSON.stringify(block.input ?? {}, null, 2);
+      if (block.id) toolNames[block.id] = block.name;
+      event.toolUses.push({
+        id: block.id || null,
+        name: block.name,
+        summary: toolSummary(block.input),
+        input: truncate(input, maxChars),
+        chars: input.length,
+      });
+    }
+  }
+  const usage = entry.message.usage;
+  if (!usage) return;
+  const tokens = {
+    inputTokens: usage.input_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+  };
+  if (!event.usage) event.usage = tokens;
+  else for (const field of Object.keys(tokens)) event.usage[field] = Math.max(event.usage[field], tokens[field]);
+  event.serviceTier = usage.service_tier || event.serviceTier;
+  event.cacheWrite1hTokens = Math.max(event.cacheWrite1hTokens, usage.cache_creation?.ephemeral_1h_input_tokens || 0);
+}
+
+function finishAssistantEvent(event, pricing) {
+  const { serviceTier, cacheWrite1hTokens, ...rest } = event;
+  if (!event.usage || event.model === '<synthetic>') return { ...rest, usage: null, contextTokens: null, cost: 0 };
+  const q = priceQuery({ model: event.model, assistantTimestamp: event.timestamp, ...event.usage, cacheWrite1hTokens, serviceTier }, pricing);
+  return {
+    ...rest,
+    // Everything the model read for this turn: the context size at that point
+    contextTokens: event.usage.inputTokens + event.usage.cacheCreationTokens + event.usage.cacheReadTokens,
+    cost: q.cost,
+  };
+}
+
+function userEvents(entry, maxChars, toolNames) {
+  const content = entry.message.content;
+  const base = { uuid: entry.uuid || null, timestamp: entry.timestamp || null, isSidechain: !!entry.isSidechain };
+
+  if (entry.isCompactSummary) {
+    const text = contentText(content);
+    return [{ type: 'summary', ...base, text: truncate(text, maxChars), chars: text.length }];
+  }
+  if (typeof content === 'string') {
+    if (content.startsWith('<command-name>') || content.startsWith('<command-message>')) {
+      return [{ type: 'command', ...base, name: tagValue(content, 'command-name'), args: tagValue(content, 'command-args') }];
+    }
+    if (content.startsWith('<local-command')) {
+      const output = tagValue(content, 'local-command-stdout') || tagValue(content, 'local-command-stderr');
+      return output ? [{ type: 'command_output', ...base, text: truncate(output, maxChars) }] : [];
+    }
+    return [{ type: 'user', ...base, text: content }];
+  }
+  if (!Array.isArray(content)) return [];
+
+  const events = [];
+  for (const block of content) {
+    if (block.type !== 'tool_result') continue;
+    const text = contentText(block.content);
+    events.push({
+      type: 'tool_result',
+      ...base,
+      toolUseId: block.tool_use_id || null,
+      toolName: toolNames[block.tool_use_id] || null,
+      text: truncate(text, maxChars),
+      chars: text.length,
+      isError: !!block.is_error,
+    });
+  }
+  const text = content.filter(b => b.type !== 'tool_result').map(b => contentText([b])).filter(Boolean).join('\n');
+  if (text.trim()) events.unshift({ type: 'user', ...base, text });
+  return events;
+}
+
+// Calls onEvent for each event in file order. Resolves once the file is read,
+// or early once `signal` aborts (the reader has gone away).
+async function readTranscript(filePath, onEvent, { maxChars = 2000, pricing = loadPricing(), signal } = {}) {
+  if (signal?.aborted) return;
+  const stream = fs.createReadStream(filePath, { encoding: 'utf-8' });
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  const abort = () => stream.destroy();
+  signal?.addEventListener('abort', abort, { once: true });
+  // tool_use id -> tool name, to label results
+  const toolNames = {};
+  let pending = null;
+  const flush = () => {
+    if (pending) onEvent(finishAssistantEvent(pending, pricing));
+    pending = null;
+  };
+
+  try {
+    for await (const line of rl) {
+      if (signal?.aborted) return;
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // Skip malformed lines
+      }
+
+      if (entry.type === 'assistant' && entry.message) {
+        const key = entry.message.id || entry.requestId || null;
+        if (!pending || !key || pending.id !== key) {
+          flush();
+          pending = newAssistantEvent(entry);
+        }
+        mergeAssistantEntry(pending, entry, maxChars, toolNames);
+        continue;
+      }
+      flush();
+
+      if (entry.type === 'user' && entry.message?.role === 'user' && !entry.isMeta) {
+        for (const event of userEvents(entry, maxChars, toolNames)) onEvent(event);
+      } else if (entry.type === 'system' && entry.subtype === 'compact_boundary') {
+        onEvent({
+          type: 'compact',
+          uuid: entry.uuid || null,
+          timestamp: entry.timestamp || null,
+          trigger: entry.compactMetadata?.trigger || null,
+          preTokens: entry.compactMetadata?.preTokens || null,
+        });
+      }
+    }
+    if (!signal?.aborted) flush();
+  } finally {
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+module.exports = { readTranscript };
@@ -0,0 +1,60 @@
+// Sorting and paging for the turns dataset (see groupTurns in parser.js):
+// /api/turns, the dashboard's Turns table and `claude-spend report --by turn`.
+
+const TURN_SORTS = {
+  cost: t => t.cost,
+  tokens: t => t.totalTokens,
+  duration: t => t.durationMs,
+  rounds: t => t.toolRounds,
+  queries: t => t.queryCount,
+  date: t => t.timestamp || '',
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// rows ordered by one of sorts ({ name: row => value })
+function sortRows(rows, sorts, sort, order) {
+  const key = sorts[sort];
+  if (!key) throw new Error(`Invalid sort "${sort}". Use one of: ${Object.keys(sorts).join(', ')}`);
+  if (order !== 'asc' && order !== 'desc') throw new Error(`Invalid order "${order}". Use asc or desc`);
+  const dir = order === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const x = key(a), y = key(b);
+    return (x < y ? -1 : x > y ? 1 : 0) * dir;
+  });
+}
+
+function sortTurns(turns, sort = 'cost', order = 'desc') {
+  return sortRows(turns, TURN_SORTS, sort, order);
+}
+
+function parsePositive(name, value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid ${name} "${value}". Use a whole number of 1 or more`);
+  return n;
+}
+
+// One page of rows, with ?sort=, ?order=, ?page= (from 1) and ?pageSize=
+function pageRows(rows, sorts, { sort, order = 'desc', page, pageSize }) {
+  const size = Math.min(parsePositive('pageSize', pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const pages = Math.max(1, Math.ceil(rows.length / size));
+  const current = Math.min(parsePositive('page', page, 1), pages);
+  const sorted = sortRows(rows, sorts, sort, order);
+  return {
+    rows: sorted.slice((current - 1) * size, current * size),
+    total: rows.length,
+    page: current,
+    pageSize: size,
+    pages,
+    sort,
+    order,
+  };
+}
+
+function pageTurns(turns, { sort = 'cost', ...options } = {}) {
+  const { rows, ...page } = pageRows(turns, TURN_SORTS, { sort, ...options });
+  return { turns: rows, ...page };
+}
+
+module.exports = { sortTurns, pageTurns, pageRows, TURN_SORTS };
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+// Watches a projects folder (~/.claude/projects by default) for session files
+// being created or appended to, subagent transcripts in
+// <session id>/subagents/ included. fs.watch isn't recursive on every
+// platform, so each of those directories gets its own watcher and new ones
+// are picked up as they appear. Changes are debounced because Claude Code
+// appends many lines per turn.
+function watchProjects(projectsDir, onChange, { debounceMs = 500 } = {}) {
+  const watchers = new Map();
+  let changed = new Set();
+  let timer = null;
+  let closed = false;
+
+  function flush() {
+    timer = null;
+    const files = [...changed];
+    changed = new Set();
+    if (files.length > 0 && !closed) onChange(files);
+  }
+
+  function queue(filePath) {
+    changed.add(filePath);
+    if (!timer) timer = setTimeout(flush, debounceMs);
+  }
+
+  function watchDir(dir, onEvent) {
+    if (watchers.has(dir)) return;
+    try {
+      const watcher = fs.watch(dir, onEvent);
+      watcher.on('error', () => unwatchDir(dir));
+      watchers.set(dir, watcher);
+    } catch {
+      // Directory vanished or isn't readable
+    }
+  }
+
+  function unwatchDir(dir) {
+    const watcher = watchers.get(dir);
+    if (watcher) watcher.close();
+    watchers.delete(dir);
+  }
+
+  function watchProjectDir(dir) {
+    watchDir(dir, (eventType, filename) => {
+      if (!filename) return;
+      const name = filename.toString();
+      if (name.endsWith('.jsonl')) queue(path.join(dir, name));
+      else if (isDirectory(path.join(dir, name))) watchSessionDir(path.join(dir, name));
+    });
+    for (const name of listDirs(dir)) watchSessionDir(path.join(dir, name));
+  }
+
+  // A session's folder, watched until its subagents/ folder shows up
+  function watchSessionDir(dir) {
+    const subagentDir = path.join(dir, 'subagents');
+    watchDir(dir, (eventType, filename) => {
+      if (filename && filename.toString() === 'subagents') watchSubagentDir(subagentDir);
+    });
+    if (isDirectory(subagentDir)) watchSubagentDir(subagentDir);
+  }
+
+  function watchSubagentDir(dir) {
+    watchDir(dir, (eventType, filename) => {
+      if (filename && filename.toString().endsWith('.jsonl')) queue(path.join(dir, filename.toString()));
+    });
+  }
+
+  function scanProjects() {
+    for (const name of listDirs(projectsDir)) watchProjectDir(path.join(projectsDir, name));
+  }
+
+  watchDir(projectsDir, () => scanProjects());
+  scanProjects();
+
+  return {
+    close() {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      for (const dir of [...watchers.keys()]) unwatchDir(dir);
+    },
+  };
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function listDirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name);
+  } catch {
+    return [];
+  }
+}
+
+module.exports = { watchProjects };
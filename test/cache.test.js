@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { writeSession, appendEntries, userEntry, assistantEntry } = require('./helpers');
+const { parseAllSessions } = require('../src/parser');
+const { getCachePath } = require('../src/cache');
+
+const parse = (options = {}) => parseAllSessions({ timeZone: 'UTC', ...options });
+
+function usage(data) {
+  const { queries, inputTokens, outputTokens, totalTokens, cost } = data.sessions[0];
+  return { queries: queries.length, inputTokens, outputTokens, totalTokens, cost };
+}
+
+test('a grown transcript is read from where the last parse stopped', async () => {
+  const file = writeSession('-home-me-app', 'grow', [
+    userEntry('grow', '2026-03-01T10:00:00Z', 'first'),
+    assistantEntry('grow', '2026-03-01T10:00:05Z', { id: 'msg_1', output: 40 }),
+    userEntry('grow', '2026-03-01T10:01:00Z', 'second'),
+    // The first block of a response still streaming
+    assistantEntry('grow', '2026-03-01T10:01:05Z', { id: 'msg_2', output: 10 }),
+  ]);
+  await parse();
+  const cached = JSON.parse(fs.readFileSync(getCachePath(), 'utf-8')).files[file];
+  assert.equal(cached.offset, fs.statSync(file).size);
+
+  // The rest of that response, with its final output count, then a new turn
+  appendEntries(file, [
+    assistantEntry('grow', '2026-03-01T10:01:06Z', { id: 'msg_2', output: 90, content: [{ type: 'tool_use', id: 'toolu_1', name: 'Read', input: {} }] }),
+    userEntry('grow', '2026-03-01T10:02:00Z', 'third'),
+    assistantEntry('grow', '2026-03-01T10:02:05Z', { id: 'msg_3', output: 30 }),
+  ]);
+  const resumed = await parse();
+  const fresh = await parse({ useCache: false });
+
+  assert.deepEqual(usage(resumed), usage(fresh));
+  assert.equal(usage(resumed).queries, 3);
+  assert.equal(usage(resumed).outputTokens, 40 + 90 + 30);
+  assert.deepEqual(resumed.sessions[0].queries[1].tools, ['Read']);
+});
+
+test('a half-written last line is read again once it is complete', async () => {
+  const file = writeSession('-home-me-half', 'half', [
+    userEntry('half', '2026-03-02T10:00:00Z', 'hello'),
+    assistantEntry('half', '2026-03-02T10:00:05Z', { id: 'msg_1' }),
+  ]);
+  const line = JSON.stringify(assistantEntry('half', '2026-03-02T10:01:05Z', { id: 'msg_2', output: 70 })) + '\n';
+  fs.appendFileSync(file, line.slice(0, 40));
+  const partial = await parse();
+  assert.equal(partial.sessions.find(s => s.sessionId === 'half').queries.length, 1);
+
+  fs.appendFileSync(file, line.slice(40));
+  const complete = await parse();
+  assert.equal(complete.sessions.find(s => s.sessionId === 'half').outputTokens, 50 + 70);
+});
+
+test('a transcript that shrank is parsed from the start', async () => {
+  const entries = [
+    userEntry('shrink', '2026-03-03T10:00:00Z', 'one'),
+    assistantEntry('shrink', '2026-03-03T10:00:05Z', { id: 'msg_1', output: 20 }),
+    userEntry('shrink', '2026-03-03T10:01:00Z', 'two'),
+    assistantEntry('shrink', '2026-03-03T10:01:05Z', { id: 'msg_2', output: 20 }),
+  ];
+  writeSession('-home-me-shrink', 'shrink', entries);
+  await parse();
+  writeSession('-home-me-shrink', 'shrink', entries.slice(0, 2));
+  const data = await parse();
+  assert.equal(data.sessions.find(s => s.sessionId === 'shrink').outputTokens, 20);
+});
+
+test('resuming leaves the data from the earlier parse untouched', async () => {
+  const file = writeSession('-home-me-clone', 'clone', [
+    userEntry('clone', '2026-03-04T10:00:00Z', 'one'),
+    assistantEntry('clone', '2026-03-04T10:00:05Z', { id: 'msg_1', output: 10 }),
+  ]);
+  const before = await parse({ redact: 'none' });
+  appendEntries(file, [assistantEntry('clone', '2026-03-04T10:00:06Z', { id: 'msg_1', output: 80 })]);
+  const after = await parse({ redact: 'none' });
+  assert.equal(before.sessions.find(s => s.sessionId === 'clone').queries[0].outputTokens, 10);
+  assert.equal(after.sessions.find(s => s.sessionId === 'clone').queries[0].outputTokens, 80);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportData, serialize } = require('../src/export');
+
+function session(overrides) {
+  return {
+    sessionId: 'abc',
+    project: '-home-me-app',
+    projectPath: '/home/me/app',
+    source: 'local',
+    date: '2026-03-01',
+    timestamp: '2026-03-01T10:00:00Z',
+    model: 'claude-sonnet-4-5',
+    queryCount: 1,
+    firstPrompt: 'fix the tests',
+    inputTokens: 10,
+    outputTokens: 20,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    totalTokens: 30,
+    cost: 0.5,
+    queries: [],
+    ...overrides,
+  };
+}
+
+const csvLine = (data, line = 1) => exportData(data, { format: 'csv', level: 'session' }).split('\n')[line];
+
+test('prompt text that a spreadsheet would run as a formula gets a leading quote', () => {
+  for (const prompt of ['=HYPERLINK("http://x","y")', '+1+1', '-2', '@SUM(A1)', '\t=1']) {
+    const line = csvLine({ sessions: [session({ firstPrompt: prompt })] });
+    assert.ok(line.includes(`"'${prompt.replace(/"/g, '""')}"`), line);
+  }
+});
+
+test('ids, projects and paths are written as they are', () => {
+  const line = csvLine({ sessions: [session({ sessionId: '-abc', project: '-home-me-app', projectPath: '-odd/path' })] });
+  assert.ok(line.startsWith('-abc,-home-me-app,-odd/path,local,'), line);
+});
+
+test('commas, quotes and newlines are quoted', () => {
+  const line = exportData({ sessions: [session({ firstPrompt: 'say "hi", then\nstop' })] }, { format: 'csv' });
+  assert.ok(line.includes('"say ""hi"", then\nstop"'), line);
+});
+
+test('null and undefined are empty cells', () => {
+  assert.equal(serialize([{ a: null, b: undefined, c: 0 }], 'csv'), 'a,b,c\n,,0\n');
+});
+
+test('JSON and NDJSON keep values as they are', () => {
+  const data = { sessions: [session({ firstPrompt: '=1+1' })] };
+  assert.equal(JSON.parse(exportData(data, { format: 'json' }))[0].firstPrompt, '=1+1');
+  assert.equal(JSON.parse(exportData(data, { format: 'ndjson' })).firstPrompt, '=1+1');
+});
+
+test('unknown formats and levels are rejected', () => {
+  assert.throws(() => exportData({ sessions: [] }, { format: 'xml' }), /Invalid format "xml"/);
+  assert.throws(() => exportData({ sessions: [] }, { level: 'day' }), /Invalid level "day"/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { writeSession, userEntry, assistantEntry } = require('./helpers');
+const { parseAllSessions } = require('../src/parser');
+const { parseFilter, filterData } = require('../src/filter');
+
+const OPUS = 'claude-opus-4-6';
+const HAIKU = 'claude-haiku-4-5-20251001';
+
+// One session in app across three days and models, one in web on the middle day
+async function parseFixture() {
+  const cwd = entry => ({ ...entry, cwd: '/home/me/app' });
+  writeSession('-home-me-app', 'span', [
+    cwd(userEntry('span', '2026-03-01T10:00:00Z', 'day one')),
+    cwd(assistantEntry('span', '2026-03-01T10:00:05Z', { id: 'msg_1', output: 10 })),
+    cwd(userEntry('span', '2026-03-02T10:00:00Z', 'day two')),
+    cwd(assistantEntry('span', '2026-03-02T10:00:05Z', { id: 'msg_2', model: OPUS, output: 20 })),
+    cwd(userEntry('span', '2026-03-03T10:00:00Z', 'day three')),
+    cwd(assistantEntry('span', '2026-03-03T10:00:05Z', { id: 'msg_3', output: 30 })),
+  ]);
+  writeSession('-home-me-web', 'web', [
+    userEntry('web', '2026-03-02T12:00:00Z', 'web'),
+    assistantEntry('web', '2026-03-02T12:00:05Z', { id: 'msg_1', model: HAIKU, output: 40 }),
+  ]);
+  return parseAllSessions({ useCache: false, timeZone: 'UTC' });
+}
+
+const ids = data => data.sessions.map(s => s.sessionId).sort();
+
+test('from and to must be real YYYY-MM-DD dates in order', () => {
+  assert.deepEqual(parseFilter({ from: '2026-03-01' }), { from: '2026-03-01', to: null, project: null, model: null, source: null });
+  assert.throws(() => parseFilter({ from: '03/01/2026' }), /Invalid from date/);
+  assert.throws(() => parseFilter({ to: '2026-02-31' }), /Invalid to date "2026-02-31"/);
+  assert.throws(() => parseFilter({ from: '2026-03-02', to: '2026-03-01' }), /is after/);
+  assert.throws(() => parseFilter({ model: ['opus', 'haiku'] }), /Invalid model: expected a single value/);
+});
+
+test('an empty filter returns the data unchanged', async () => {
+  const data = await parseFixture();
+  assert.equal(filterData(data, parseFilter({})), data);
+});
+
+test('from and to are inclusive and cut sessions down to the queries inside them', async () => {
+  const data = await parseFixture();
+  const filtered = filterData(data, parseFilter({ from: '2026-03-02', to: '2026-03-03' }));
+  const span = filtered.sessions.find(s => s.sessionId === 'span');
+  assert.deepEqual(ids(filtered), ['span', 'web']);
+  assert.equal(span.queryCount, 2);
+  assert.equal(span.outputTokens, 20 + 30);
+  // A session that started before the range counts from its first query in it
+  assert.equal(span.date, '2026-03-02');
+  assert.deepEqual(filtered.dailyUsage.map(d => d.date), ['2026-03-02', '2026-03-03']);
+  assert.equal(filtered.totals.totalOutputTokens, 20 + 30 + 40);
+  assert.equal(filtered.forecast, null);
+});
+
+test('a single day keeps only that day\'s queries', async () => {
+  const data = await parseFixture();
+  const filtered = filterData(data, parseFilter({ from: '2026-03-01', to: '2026-03-01' }));
+  assert.deepEqual(ids(filtered), ['span']);
+  assert.equal(filtered.totals.totalOutputTokens, 10);
+});
+
+test('model matches an id or part of one, per query', async () => {
+  const data = await parseFixture();
+  const opus = filterData(data, parseFilter({ model: 'opus' }));
+  assert.deepEqual(ids(opus), ['span']);
+  assert.equal(opus.sessions[0].queryCount, 1);
+  assert.equal(opus.sessions[0].model, OPUS);
+  assert.deepEqual(ids(filterData(data, parseFilter({ model: HAIKU }))), ['web']);
+});
+
+test('project matches a directory name, path or name', async () => {
+  const data = await parseFixture();
+  for (const project of ['-home-me-app', '/home/me/app', 'app']) {
+    assert.deepEqual(ids(filterData(data, parseFilter({ project }))), ['span'], project);
+  }
+  assert.deepEqual(ids(filterData(data, parseFilter({ project: 'ap' }))), []);
+});
+
+test('filters combine', async () => {
+  const data = await parseFixture();
+  const filtered = filterData(data, parseFilter({ from: '2026-03-02', to: '2026-03-02', project: 'app', model: 'sonnet' }));
+  assert.deepEqual(ids(filtered), []);
+});
@@ -0,0 +1,49 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Requiring this points HOME at a fresh temp directory, so tests never read
+// or write the real ~/.claude or ~/.claude-spend
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-spend-test-'));
+process.env.HOME = home;
+delete process.env.CLAUDE_CONFIG_DIR;
+process.on('exit', () => fs.rmSync(home, { recursive: true, force: true }));
+
+const projectsDir = path.join(home, '.claude', 'projects');
+
+const toLines = entries => entries.map(e => JSON.stringify(e) + '\n').join('');
+
+// Writes a transcript to ~/.claude/projects/<project>/<sessionId>.jsonl
+function writeSession(project, sessionId, entries) {
+  const file = path.join(projectsDir, project, sessionId + '.jsonl');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, toLines(entries));
+  return file;
+}
+
+function appendEntries(file, entries) {
+  fs.appendFileSync(file, toLines(entries));
+}
+
+function userEntry(sessionId, timestamp, text) {
+  return { type: 'user', sessionId, timestamp, message: { role: 'user', content: text } };
+}
+
+// One line of an API response. Claude Code writes one per content block,
+// each with the same message id and usage.
+function assistantEntry(sessionId, timestamp, { id, model = 'claude-sonnet-4-5-20250929', input = 100, output = 50, cacheRead = 0, content = [] } = {}) {
+  return {
+    type: 'assistant',
+    sessionId,
+    timestamp,
+    message: {
+      id,
+      model,
+      role: 'assistant',
+      content,
+      usage: { input_tokens: input, output_tokens: output, cache_creation_input_tokens: 0, cache_read_input_tokens: cacheRead },
+    },
+  };
+}
+
+module.exports = { home, projectsDir, writeSession, appendEntries, userEntry, assistantEntry };
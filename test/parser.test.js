@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { writeSession, userEntry, assistantEntry } = require('./helpers');
+const { parseAllSessions } = require('../src/parser');
+
+async function parseSession(sessionId, entries) {
+  writeSession('-home-me-' + sessionId, sessionId, entries);
+  const data = await parseAllSessions({ useCache: false, timeZone: 'UTC' });
+  return data.sessions.find(s => s.sessionId === sessionId);
+}
+
+const readCall = id => ({ type: 'tool_use', id, name: 'Read', input: {} });
+
+test('lines of one streamed response count as one API call', async () => {
+  const session = await parseSession('stream', [
+    userEntry('stream', '2026-03-01T10:00:00Z', 'read both files'),
+    assistantEntry('stream', '2026-03-01T10:00:05Z', { id: 'msg_1', input: 100, output: 50, content: [{ type: 'text', text: 'Reading' }] }),
+    assistantEntry('stream', '2026-03-01T10:00:06Z', { id: 'msg_1', input: 100, output: 50, content: [readCall('toolu_1')] }),
+    assistantEntry('stream', '2026-03-01T10:00:07Z', { id: 'msg_1', input: 100, output: 50, content: [readCall('toolu_2')] }),
+  ]);
+  assert.equal(session.queryCount, 1);
+  assert.equal(session.inputTokens, 100);
+  assert.equal(session.outputTokens, 50);
+  assert.equal(session.duplicateEntries, 2);
+  assert.deepEqual(session.queries[0].tools, ['Read', 'Read']);
+});
+
+test('a later line of a response with a larger output count wins', async () => {
+  const session = await parseSession('grow', [
+    userEntry('grow', '2026-03-01T10:00:00Z', 'go'),
+    assistantEntry('grow', '2026-03-01T10:00:05Z', { id: 'msg_1', output: 5 }),
+    assistantEntry('grow', '2026-03-01T10:00:06Z', { id: 'msg_1', output: 120 }),
+  ]);
+  assert.equal(session.outputTokens, 120);
+  assert.equal(session.totalTokens, 100 + 120);
+});
+
+test('lines without a message id are matched by request id', async () => {
+  const entry = output => ({ ...assistantEntry('req', '2026-03-01T10:00:05Z', { output }), requestId: 'req_1' });
+  const session = await parseSession('req', [userEntry('req', '2026-03-01T10:00:00Z', 'go'), entry(10), entry(10)]);
+  assert.equal(session.queryCount, 1);
+  assert.equal(session.outputTokens, 10);
+});
+
+test('different responses, and lines with no id at all, are counted separately', async () => {
+  const session = await parseSession('many', [
+    userEntry('many', '2026-03-01T10:00:00Z', 'go'),
+    assistantEntry('many', '2026-03-01T10:00:05Z', { id: 'msg_1' }),
+    assistantEntry('many', '2026-03-01T10:00:06Z', { id: 'msg_2' }),
+    assistantEntry('many', '2026-03-01T10:00:07Z', {}),
+    assistantEntry('many', '2026-03-01T10:00:08Z', {}),
+  ]);
+  assert.equal(session.queryCount, 4);
+  assert.equal(session.duplicateEntries, 0);
+});
+
+test('a tool call repeated on a later line is counted once', async () => {
+  const session = await parseSession('tools', [
+    userEntry('tools', '2026-03-01T10:00:00Z', 'go'),
+    assistantEntry('tools', '2026-03-01T10:00:05Z', { id: 'msg_1', content: [readCall('toolu_1')] }),
+    assistantEntry('tools', '2026-03-01T10:00:06Z', { id: 'msg_1', content: [readCall('toolu_1')] }),
+  ]);
+  assert.deepEqual(session.queries[0].tools, ['Read']);
+});
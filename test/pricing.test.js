@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { home } = require('./helpers');
+const { loadPricing, findRates, priceQuery } = require('../src/pricing');
+
+const builtin = loadPricing(path.join(home, 'no-pricing.json'));
+const perMTok = rates => rates && [rates.input * 1e6, rates.output * 1e6];
+const assertCost = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+function writePricing(models) {
+  const file = path.join(home, `pricing-${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(file, JSON.stringify({ models }));
+  return loadPricing(file);
+}
+
+function query(overrides) {
+  return { model: 'claude-sonnet-4-5-20250929', assistantTimestamp: '2026-03-01T10:00:00Z', inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, ...overrides };
+}
+
+test('known models get their own rates', () => {
+  assert.deepEqual(perMTok(findRates(builtin, 'claude-opus-4-6', null)), [5, 25]);
+  assert.deepEqual(perMTok(findRates(builtin, 'claude-opus-4-1-20250805', null)), [15, 75]);
+  assert.deepEqual(perMTok(findRates(builtin, 'claude-opus-4-20250514', null)), [15, 75]);
+  assert.deepEqual(perMTok(findRates(builtin, 'claude-sonnet-4-20250514', null)), [3, 15]);
+  assert.deepEqual(perMTok(findRates(builtin, 'claude-haiku-4-5-20251001', null)), [1, 5]);
+  assert.deepEqual(perMTok(findRates(builtin, 'claude-3.5-haiku', null)), [0.8, 4]);
+});
+
+test('models with no known price are flagged instead of guessed', () => {
+  for (const model of ['claude-opus-4-7', 'claude-sonnet-4-8-20270101', 'unknown', 'gpt-5']) {
+    assert.equal(findRates(builtin, model, null), null, model);
+  }
+  const q = priceQuery(query({ model: 'claude-opus-4-7', inputTokens: 1000 }), builtin);
+  assert.equal(q.cost, 0);
+  assert.equal(q.unpriced, true);
+});
+
+test('entries with from and to only apply to usage in their date range', () => {
+  const pricing = writePricing([
+    { pattern: 'sonnet-4-5', to: '2026-02-01', input: 6, output: 30 },
+    { pattern: 'sonnet-4-5', from: '2026-02-01', input: 2, output: 10 },
+  ]);
+  assert.deepEqual(perMTok(findRates(pricing, 'claude-sonnet-4-5', '2026-01-31T23:59:59Z')), [6, 30]);
+  assert.deepEqual(perMTok(findRates(pricing, 'claude-sonnet-4-5', '2026-02-01T00:00:00Z')), [2, 10]);
+  // Other models still fall through to the built-in prices
+  assert.deepEqual(perMTok(findRates(pricing, 'claude-opus-4-6', '2026-02-01T00:00:00Z')), [5, 25]);
+});
+
+test('a price is picked by the query\'s own timestamp', () => {
+  const pricing = writePricing([{ pattern: 'sonnet-4-5', from: '2026-03-01', input: 1, output: 1 }]);
+  const before = priceQuery(query({ assistantTimestamp: '2026-02-28T12:00:00Z', inputTokens: 100_000 }), pricing);
+  const after = priceQuery(query({ assistantTimestamp: '2026-03-01T12:00:00Z', inputTokens: 100_000 }), pricing);
+  assertCost(before.cost, 0.3);
+  assertCost(after.cost, 0.1);
+});
+
+test('prompts over the long-context threshold are billed at the long-context rate', () => {
+  const short = priceQuery(query({ inputTokens: 200_000 }), builtin);
+  const long = priceQuery(query({ inputTokens: 200_001 }), builtin);
+  assertCost(short.cost, 0.6);
+  assertCost(long.cost, 200_001 * 6 / 1e6);
+});
+
+test('cache writes and reads default to multiples of the input rate', () => {
+  const q = priceQuery(query({ cacheCreationTokens: 100_000, cacheReadTokens: 100_000 }), builtin);
+  assertCost(q.cost, 0.1 * (3 * 1.25 + 3 * 0.1));
+  assertCost(q.cacheSavings, 0.1 * 3 * 0.9);
+});
+
+test('pricing.json entries need a pattern and numeric prices', () => {
+  assert.throws(() => writePricing([{ input: 1, output: 1 }]), /needs a "pattern"/);
+  assert.throws(() => writePricing([{ pattern: 'x', input: '1', output: 1 }]), /numeric "input" and "output"/);
+});
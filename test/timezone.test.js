@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { writeSession, userEntry, assistantEntry } = require('./helpers');
+const { createCalendar, resolveTimeZone } = require('../src/timezone');
+const { parseAllSessions } = require('../src/parser');
+const { parseSince } = require('../src/report');
+
+test('timestamps get the local date, hour and weekday of the zone', () => {
+  const berlin = createCalendar('Europe/Berlin');
+  // 23:30 UTC on Saturday 2026-01-31 is 00:30 on Sunday in Berlin
+  assert.deepEqual(berlin.parts('2026-01-31T23:30:00Z'), { date: '2026-02-01', hour: 0, minute: 30, weekday: 0 });
+  assert.deepEqual(createCalendar('UTC').parts('2026-01-31T23:30:00Z'), { date: '2026-01-31', hour: 23, minute: 30, weekday: 6 });
+  assert.equal(berlin.parts('not a date'), null);
+});
+
+test('half-hour offsets and daylight saving are followed', () => {
+  const kolkata = createCalendar('Asia/Kolkata');
+  assert.deepEqual(kolkata.parts('2026-03-01T18:45:00Z'), { date: '2026-03-02', hour: 0, minute: 15, weekday: 1 });
+  const newYork = createCalendar('America/New_York');
+  // UTC-5 until 2026-03-08, UTC-4 after
+  assert.equal(newYork.parts('2026-03-07T04:30:00Z').date, '2026-03-06');
+  assert.equal(newYork.parts('2026-03-07T05:30:00Z').date, '2026-03-07');
+  assert.equal(newYork.parts('2026-03-10T03:30:00Z').date, '2026-03-09');
+  assert.equal(newYork.parts('2026-03-10T04:30:00Z').date, '2026-03-10');
+});
+
+test('minuteOfDay counts from local midnight, seconds included', () => {
+  assert.equal(createCalendar('Europe/Berlin').minuteOfDay('2026-01-31T23:07:30Z'), 7.5);
+});
+
+test('the zone comes from the flag, then config, and must be a real one', () => {
+  assert.equal(resolveTimeZone({ timezone: 'Asia/Tokyo' }, 'Europe/Paris'), 'Europe/Paris');
+  assert.equal(resolveTimeZone({ timezone: 'Asia/Tokyo' }), 'Asia/Tokyo');
+  assert.throws(() => resolveTimeZone({}, 'Mars/Olympus'), /Unknown timezone "Mars\/Olympus"/);
+});
+
+test('each query counts on its own local day and hour, not the session\'s first day', async () => {
+  writeSession('-home-me-late', 'late', [
+    userEntry('late', '2026-01-31T22:50:00Z', 'before midnight'),
+    assistantEntry('late', '2026-01-31T22:55:00Z', { id: 'msg_1', output: 10 }),
+    userEntry('late', '2026-01-31T23:10:00Z', 'after midnight in Berlin'),
+    assistantEntry('late', '2026-01-31T23:15:00Z', { id: 'msg_2', output: 20 }),
+    // Resumed three days later
+    userEntry('late', '2026-02-03T09:00:00Z', 'resumed'),
+    assistantEntry('late', '2026-02-03T09:05:00Z', { id: 'msg_3', output: 30 }),
+  ]);
+  const byDay = data => Object.fromEntries(data.dailyUsage.map(d => [d.date, d.outputTokens]));
+
+  const utc = await parseAllSessions({ useCache: false, timeZone: 'UTC' });
+  assert.deepEqual(byDay(utc), { '2026-01-31': 30, '2026-02-03': 30 });
+
+  const berlin = await parseAllSessions({ useCache: false, timeZone: 'Europe/Berlin' });
+  assert.deepEqual(byDay(berlin), { '2026-01-31': 10, '2026-02-01': 20, '2026-02-03': 30 });
+  assert.equal(berlin.sessions[0].date, '2026-01-31');
+  assert.deepEqual(berlin.hourlyUsage.map(h => h.hour), ['2026-01-31T23', '2026-02-01T00', '2026-02-03T10']);
+  // Sunday 00:xx in Berlin
+  assert.equal(berlin.weekdayHourly[0][0].queries, 1);
+});
+
+test('--since counts back from today in the zone', () => {
+  // Already Sunday 2026-02-01 in Tokyo, still Saturday in UTC
+  const now = new Date('2026-01-31T20:00:00Z');
+  assert.equal(parseSince('1d', { now, timeZone: 'UTC' }), '2026-01-31');
+  assert.equal(parseSince('1d', { now, timeZone: 'Asia/Tokyo' }), '2026-02-01');
+  assert.equal(parseSince('7d', { now, timeZone: 'Asia/Tokyo' }), '2026-01-26');
+  assert.equal(parseSince('2w', { now, timeZone: 'UTC' }), '2026-01-18');
+  assert.equal(parseSince('1m', { now, timeZone: 'UTC' }), '2025-12-31');
+  assert.equal(parseSince('2026-01-05', { now, timeZone: 'UTC' }), '2026-01-05');
+  assert.throws(() => parseSince('7x', { now }), /Invalid --since value "7x"/);
+});